@@ -3,13 +3,15 @@
 import { createServer } from "http";
 import { fileURLToPath } from "url";
 import path from "path";
+import { mkdir, readFile, readdir, writeFile } from "fs/promises";
 import express from "express";
-import { Server, Room } from "@colyseus/core";
+import { Server, Room, matchMaker } from "@colyseus/core";
 import { WebSocketTransport } from "@colyseus/ws-transport";
-import { Schema, defineTypes, MapSchema, ArraySchema } from "@colyseus/schema";
-import { EMPTY, WALL, BLOCK, GRID_PRESETS, POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD, generateMap, computeSpawns } from "./src/map.js";
-import { BOMB_FUSE, EXPLOSION_DURATION, DEFAULT_POWER, MAX_BOMBS, computeExplosion, computeFlamethrowerExplosion, computeRaygunExplosion, computeFlamethrowerShot, computeRaygunShot } from "./src/rules.js";
-import { BotBrain } from "./src/bot.js";
+import { Schema, defineTypes, view, MapSchema, ArraySchema, StateView } from "@colyseus/schema";
+import { DEFAULT_POWER, MAX_BOMBS, MOVE_DELAY } from "./src/rules.js";
+import { parseSeed } from "./src/random.js";
+import { GameSimulation, TICK_MS, REPLAY_VERSION } from "./src/simulation.js";
+import { validateMap } from "./src/mapfile.js";
 
 // --- Express app for static files ---
 
@@ -20,6 +22,83 @@ const app = express();
 
 app.use(express.static(path.join(__dirname, "dist")));
 
+// --- Replay files ---
+
+const REPLAY_DIR = path.join(__dirname, "replays");
+
+// Allow the Vite dev client (different port) to call the API
+app.use("/api", (req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  next();
+});
+
+function isValidReplayId(id) {
+  return typeof id === "string" && /^[\w-]+$/.test(id);
+}
+
+async function loadReplay(id) {
+  if (!isValidReplayId(id)) throw new Error(`Invalid replay id: ${id}`);
+  const raw = await readFile(path.join(REPLAY_DIR, `${id}.json`), "utf8");
+  const replay = JSON.parse(raw);
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  return replay;
+}
+
+app.get("/api/replays", async (req, res) => {
+  let files = [];
+  try {
+    files = (await readdir(REPLAY_DIR)).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Replay list error:", err);
+  }
+
+  const replays = [];
+  for (const file of files) {
+    const id = file.slice(0, -".json".length);
+    try {
+      const replay = await loadReplay(id);
+      replays.push({
+        id,
+        recordedAt: replay.recordedAt,
+        seed: replay.seed,
+        players: replay.players,
+        bots: replay.config.botCount,
+        gridSize: replay.config.gridSize,
+        gameMode: replay.config.gameMode,
+        result: replay.result,
+        durationMs: replay.ticks * TICK_MS,
+      });
+    } catch (err) {
+      console.error(`Skipping replay ${file}:`, err.message);
+    }
+  }
+
+  replays.sort((a, b) => (a.recordedAt < b.recordedAt ? 1 : -1));
+  res.json(replays);
+});
+
+// --- Room browser ---
+
+// Public game rooms, joinable ones first (then the fullest, so players gather)
+app.get("/api/rooms", async (req, res) => {
+  try {
+    const listings = await matchMaker.query({ name: "game" });
+    const rooms = listings
+      .filter((r) => r.metadata && r.metadata.public)
+      .map((r) => ({
+        ...r.metadata,
+        open: r.metadata.status === "lobby" && r.metadata.players < r.metadata.maxPlayers,
+      }));
+    rooms.sort((a, b) => (b.open - a.open) || (b.players - a.players));
+    res.json(rooms);
+  } catch (err) {
+    console.error("Room list error:", err);
+    res.status(500).json({ error: "Could not list rooms" });
+  }
+});
+
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "dist", "index.html"));
 });
@@ -33,7 +112,13 @@ class PlayerState extends Schema {
     this.y = 0;
     this.alive = true;
     this.bombsAvailable = MAX_BOMBS;
+    this.maxBombs = MAX_BOMBS;
     this.power = DEFAULT_POWER;
+    this.moveDelay = MOVE_DELAY;
+    this.canKick = false;
+    this.canThrow = false;
+    this.bombType = "normal";
+    this.team = 0; // 0 = free-for-all, else 1 or 2
     this.playerIndex = 0;
     this.powerupType = 0;
     this.powerupUses = 0;
@@ -41,10 +126,17 @@ class PlayerState extends Schema {
     this.facing = "down";
     this.lives = 1;
     this.kills = 0;
+    this.deaths = 0;
+    this.suicides = 0;
+    this.powerups = 0; // pickups this round
+    this.captures = 0; // ctf: flags brought home
+    this.holdTime = 0; // koth: ms on the hill
     this.respawnAt = 0;
     this.spawnX = 0;
     this.spawnY = 0;
     this.invincibleUntil = 0;
+    this.inputSeq = 0; // last move sequence number processed (client reconciliation)
+    this.botControlled = false; // a bot holds the seat while the client reconnects
   }
 }
 defineTypes(PlayerState, {
@@ -52,7 +144,13 @@ defineTypes(PlayerState, {
   y: "uint8",
   alive: "boolean",
   bombsAvailable: "uint8",
+  maxBombs: "uint8",
   power: "uint8",
+  moveDelay: "uint16",
+  canKick: "boolean",
+  canThrow: "boolean",
+  bombType: "string",
+  team: "uint8",
   playerIndex: "uint8",
   powerupType: "uint8",
   powerupUses: "uint8",
@@ -60,10 +158,17 @@ defineTypes(PlayerState, {
   facing: "string",
   lives: "uint8",
   kills: "uint16",
+  deaths: "uint16",
+  suicides: "uint16",
+  powerups: "uint16",
+  captures: "uint16",
+  holdTime: "uint32",
   respawnAt: "float64",
   spawnX: "uint8",
   spawnY: "uint8",
   invincibleUntil: "float64",
+  inputSeq: "uint32",
+  botControlled: "boolean",
 });
 
 class BombState extends Schema {
@@ -72,14 +177,38 @@ class BombState extends Schema {
     this.x = 0;
     this.y = 0;
     this.ownerId = "";
+    this.type = "normal"; // normal, remote, pierce, mine, cluster or bomblet
     this.explodeAt = 0;
+    this.airborne = false; // thrown and not landed yet
   }
 }
 defineTypes(BombState, {
   x: "uint8",
   y: "uint8",
   ownerId: "string",
+  type: "string",
   explodeAt: "float64",
+  airborne: "boolean",
+});
+
+class FlagState extends Schema {
+  constructor() {
+    super();
+    this.side = ""; // owning team (team1/team2) or player/NPC id
+    this.x = 0;
+    this.y = 0;
+    this.homeX = 0;
+    this.homeY = 0;
+    this.carrierId = ""; // empty while at home or lying where its carrier fell
+  }
+}
+defineTypes(FlagState, {
+  side: "string",
+  x: "uint8",
+  y: "uint8",
+  homeX: "uint8",
+  homeY: "uint8",
+  carrierId: "string",
 });
 
 class NPCState extends Schema {
@@ -89,7 +218,14 @@ class NPCState extends Schema {
     this.y = 0;
     this.alive = true;
     this.bombsAvailable = MAX_BOMBS;
+    this.maxBombs = MAX_BOMBS;
     this.power = DEFAULT_POWER;
+    this.moveDelay = MOVE_DELAY;
+    this.canKick = false;
+    this.canThrow = false;
+    this.bombType = "normal";
+    this.team = 0;
+    this.kind = "bomber"; // bomber bot, or a campaign monster: wanderer, chaser, ghost
     this.difficulty = "medium";
     this.npcIndex = 0;
     this.powerupType = 0;
@@ -98,6 +234,11 @@ class NPCState extends Schema {
     this.facing = "down";
     this.lives = 1;
     this.kills = 0;
+    this.deaths = 0;
+    this.suicides = 0;
+    this.powerups = 0; // pickups this round
+    this.captures = 0; // ctf: flags brought home
+    this.holdTime = 0; // koth: ms on the hill
     this.respawnAt = 0;
     this.spawnX = 0;
     this.spawnY = 0;
@@ -109,7 +250,14 @@ defineTypes(NPCState, {
   y: "uint8",
   alive: "boolean",
   bombsAvailable: "uint8",
+  maxBombs: "uint8",
   power: "uint8",
+  moveDelay: "uint16",
+  canKick: "boolean",
+  canThrow: "boolean",
+  bombType: "string",
+  team: "uint8",
+  kind: "string",
   difficulty: "string",
   npcIndex: "uint8",
   powerupType: "uint8",
@@ -118,6 +266,11 @@ defineTypes(NPCState, {
   facing: "string",
   lives: "uint8",
   kills: "uint16",
+  deaths: "uint16",
+  suicides: "uint16",
+  powerups: "uint16",
+  captures: "uint16",
+  holdTime: "uint32",
   respawnAt: "float64",
   spawnX: "uint8",
   spawnY: "uint8",
@@ -132,12 +285,37 @@ class GameState extends Schema {
     this.map = new ArraySchema();
     this.players = new MapSchema();
     this.bombs = new MapSchema();
+    this.mines = new MapSchema(); // per-client: each player only receives their own (see revealMines)
     this.npcs = new MapSchema();
+    this.flags = new MapSchema();
     this.status = "lobby";
     this.result = "";
+    this.winnerId = "";
+    this.maxPlayers = 2;
     this.gameMode = "classic";
     this.startingLives = 1;
     this.killTarget = 10;
+    this.captureTarget = 3;
+    this.holdTarget = 60; // seconds
+    this.teams = "off"; // off, alternate or humans (see normalizeConfig)
+    this.stage = 0;     // campaign stage, 1-based (0 outside the campaign)
+    this.score = 0;     // campaign score, shared by the players
+    this.exitOpen = false;
+    this.hillX = 0;
+    this.hillY = 0;
+    this.hillMovesAt = 0;
+    this.timeLimit = 0; // seconds (0 = untimed)
+    this.suddenDeath = "shrink"; // shrink, spiral or rain
+    this.endsAt = 0;
+    this.suddenDeathActive = false;
+    this.series = 1; // best of N rounds (1 = single rounds)
+    this.seriesRound = 0;
+    this.seriesWins = new MapSchema(); // round wins per side: team1/team2, or a player/NPC id
+    this.seriesWinner = "";
+    this.seed = 0;
+    this.tick = 0; // simulation tick of this patch, for client-side interpolation timing
+    this.roundStart = 0; // game clock at tick 0, for bomb fuse indicators
+    this.spectators = 0;
   }
 }
 defineTypes(GameState, {
@@ -146,82 +324,186 @@ defineTypes(GameState, {
   map: ["uint8"],
   players: { map: PlayerState },
   bombs: { map: BombState },
+  mines: { map: BombState },
   npcs: { map: NPCState },
+  flags: { map: FlagState },
   status: "string",
   result: "string",
+  winnerId: "string",
+  maxPlayers: "uint8",
   gameMode: "string",
   startingLives: "uint8",
   killTarget: "uint16",
+  captureTarget: "uint8",
+  holdTarget: "uint8",
+  teams: "string",
+  stage: "uint8",
+  score: "uint32",
+  exitOpen: "boolean",
+  hillX: "uint8",
+  hillY: "uint8",
+  hillMovesAt: "float64",
+  timeLimit: "uint16",
+  suddenDeath: "string",
+  endsAt: "float64",
+  suddenDeathActive: "boolean",
+  series: "uint8",
+  seriesRound: "uint8",
+  seriesWins: { map: "uint8" },
+  seriesWinner: "string",
+  seed: "uint32",
+  tick: "uint32",
+  roundStart: "float64",
+  spectators: "uint8",
 });
+view()(GameState.prototype, "mines");
 
-// --- Helpers ---
-
-function applyPowerup(entity, tileType) {
-  if (tileType === POWERUP_FLAMETHROWER) {
-    entity.powerupType = 1;
-    entity.powerupUses = 3;
-  } else if (tileType === POWERUP_RAYGUN) {
-    entity.powerupType = 2;
-    entity.powerupUses = 3;
-  } else if (tileType === POWERUP_SHIELD) {
-    entity.hasShield = true;
+// --- State sync ---
+// The simulation keeps plain objects; copy them onto the schema each tick so
+// Colyseus only sends what changed.
+
+function syncFields(target, source) {
+  for (const key of Object.keys(source)) {
+    const value = source[key];
+    if (typeof value === "object" && value !== null) continue;
+    if (key in target && target[key] !== value) target[key] = value;
+  }
+}
+
+function syncEntities(schemaMap, plainMap, SchemaClass) {
+  schemaMap.forEach((_, id) => {
+    if (!plainMap.has(id)) schemaMap.delete(id);
+  });
+  plainMap.forEach((entity, id) => {
+    let target = schemaMap.get(id);
+    if (!target) {
+      target = new SchemaClass();
+      syncFields(target, entity);
+      schemaMap.set(id, target);
+    } else {
+      syncFields(target, entity);
+    }
+  });
+}
+
+function syncCounts(schemaMap, plainMap) {
+  schemaMap.forEach((_, key) => {
+    if (!plainMap.has(key)) schemaMap.delete(key);
+  });
+  plainMap.forEach((count, key) => {
+    if (schemaMap.get(key) !== count) schemaMap.set(key, count);
+  });
+}
+
+function syncState(state, simState) {
+  syncFields(state, simState);
+
+  if (state.map.length !== simState.map.length) {
+    state.map.clear();
+    for (const tile of simState.map) state.map.push(tile);
+  } else {
+    for (let i = 0; i < simState.map.length; i++) {
+      if (state.map[i] !== simState.map[i]) state.map[i] = simState.map[i];
+    }
+  }
+
+  // Mines get their own collection so it can be filtered per client
+  const bombs = new Map();
+  const mines = new Map();
+  simState.bombs.forEach((bomb, id) => (bomb.type === "mine" ? mines : bombs).set(id, bomb));
+
+  syncEntities(state.players, simState.players, PlayerState);
+  syncEntities(state.bombs, bombs, BombState);
+  syncEntities(state.mines, mines, BombState);
+  syncEntities(state.npcs, simState.npcs, NPCState);
+  syncEntities(state.flags, simState.flags, FlagState);
+  syncCounts(state.seriesWins, simState.seriesWins);
+}
+
+// Mines are hidden: a client's view only gets the mines `canSee` allows it
+function revealMines(clients, state, canSee) {
+  for (const client of clients) {
+    if (!client.view) continue;
+    state.mines.forEach((mine) => {
+      if (!client.view.has(mine) && canSee(client, mine)) client.view.add(mine);
+    });
   }
 }
 
 // --- Game Room ---
+// Thin adapter: client messages become simulation inputs, simulation events
+// become broadcasts, and the simulation's state is mirrored into GameState.
+
+// How long a dropped player's seat is held for them to reconnect
+const RECONNECT_SECONDS = 30;
+
+// Watchers allowed on top of the player seats
+const MAX_SPECTATORS = 8;
 
 class GameRoom extends Room {
   onCreate(options) {
+    // The simulation would quietly fall back to a random map; tell the host instead
+    if (options.customMap) {
+      const errors = validateMap(options.customMap);
+      if (errors.length > 0) throw new Error(`Invalid map: ${errors[0]}`);
+    }
+
     this.setState(new GameState());
-    this.maxClients = 2;
-    this.grid = null;
-    this.hiddenPowerups = null;
-    this.bombIdCounter = 0;
-    this.playerLastMove = {};
-    this.npcLastMove = {};
-    this.botBrains = {};
-    this.moveDelay = 120;
-    this.respawnQueue = [];
     this.restartVotes = new Set();
+    this.spectators = new Set();
+    this.roomCode = options.roomCode || "";
+    this.isPublic = options.public === true;
+
+    this.sim = new GameSimulation(options, {
+      clock: () => Date.now(),
+      emit: (type, message) => this.broadcast(type, message),
+      onEnd: () => this.onGameEnd(),
+      record: true,
+    });
+    this.config = this.sim.config;
+    this.maxClients = this.config.maxPlayers + MAX_SPECTATORS;
+    syncState(this.state, this.sim.state);
+    this.updateListing();
+
+    // Host-supplied seed applies to the first round; later rounds roll their own
+    this.nextSeed = parseSeed(options.seed);
+
+    // One patch per tick, so each patch's tick stamp matches its changes
+    this.setPatchRate(TICK_MS);
+    this.setSimulationInterval(() => {
+      this.sim.step();
+      syncState(this.state, this.sim.state);
+      // Owners and their teammates see their mines; spectators see them all
+      revealMines(this.clients, this.state, (client, mine) => {
+        if (mine.ownerId === client.sessionId || this.spectators.has(client.sessionId)) return true;
+        const owner = this.sim.getEntity(mine.ownerId);
+        const viewer = this.sim.state.players.get(client.sessionId);
+        return !!owner && !!viewer && this.sim.areAllies(owner, viewer);
+      });
+    }, TICK_MS);
 
-    // Read room options
-    const presetName = options.gridSize || "medium";
-    const preset = GRID_PRESETS[presetName] || GRID_PRESETS.medium;
-    this.roomCols = preset.cols;
-    this.roomRows = preset.rows;
-    this.botCount = Math.min(Math.max(parseInt(options.botCount) || 1, 0), 4);
-    this.botDifficulty = ["easy", "medium", "hard"].includes(options.botDifficulty)
-      ? options.botDifficulty : "medium";
-
-    // Game mode options
-    this.gameMode = ["classic", "lives", "kills"].includes(options.gameMode)
-      ? options.gameMode : "classic";
-    this.startingLives = [1, 2, 3, 5].includes(parseInt(options.startingLives))
-      ? parseInt(options.startingLives) : (this.gameMode === "lives" ? 3 : 1);
-    this.killTarget = [5, 10, 15, 20].includes(parseInt(options.killTarget))
-      ? parseInt(options.killTarget) : 10;
-
-    this.state.gameMode = this.gameMode;
-    this.state.startingLives = this.startingLives;
-    this.state.killTarget = this.killTarget;
-
-    this.setSimulationInterval((dt) => this.tick(dt), 60);
-
+    // Inputs are queued and applied at the start of the next tick
     this.onMessage("move", (client, message) => {
-      this.handleMove(client, message);
+      this.sim.queueInput(client.sessionId, message && message.dir, message && message.seq);
     });
 
     this.onMessage("bomb", (client) => {
-      this.handleBomb(client);
+      this.sim.queueInput(client.sessionId, "bomb");
     });
 
     this.onMessage("fire", (client) => {
-      this.handleWeaponFire(client);
+      this.sim.queueInput(client.sessionId, "fire");
+    });
+
+    this.onMessage("detonate", (client) => {
+      this.sim.queueInput(client.sessionId, "detonate");
     });
 
     this.onMessage("restart", (client) => {
+      if (this.spectators.has(client.sessionId)) return;
       this.restartVotes.add(client.sessionId);
-      const needed = this.state.players.size;
+      // Only connected players vote; a seat awaiting reconnection doesn't block a restart
+      const needed = this.clients.length - this.spectators.size;
       this.broadcast("restartVote", { current: this.restartVotes.size, needed });
       if (this.restartVotes.size >= needed && needed > 0) {
         this.restartVotes.clear();
@@ -229,774 +511,266 @@ class GameRoom extends Room {
       }
     });
 
-    console.log(`Room created: ${this.roomId} (code: ${options.roomCode || "none"}, grid: ${this.roomCols}x${this.roomRows}, bots: ${this.botCount} ${this.botDifficulty}, mode: ${this.gameMode})`);
+    const c = this.config;
+    console.log(`Room created: ${this.roomId} (code: ${options.roomCode || "none"}, ${this.isPublic ? "public" : "private"}, grid: ${c.customMap ? `custom "${c.customMap.name}" ${c.customMap.cols}x${c.customMap.rows}` : `${c.gridSize} ${c.mapTemplate} ${c.blockDensity}%`}, players: ${c.maxPlayers}, bots: ${c.botCount} ${c.botDifficulty}, mode: ${c.gameMode}, teams: ${c.teams}${c.friendlyFire ? " (friendly fire)" : ""}, time: ${c.timeLimit ? `${c.timeLimit}s ${c.suddenDeath}` : "none"}, series: ${c.series > 1 ? `best of ${c.series}` : "off"}, seed: ${this.nextSeed ?? "random"})`);
   }
 
   onJoin(client, options) {
-    const playerIndex = this.state.players.size;
-    const spawns = computeSpawns(this.roomCols, this.roomRows);
-    const spawn = spawns.players[playerIndex];
-
-    const player = new PlayerState();
-    player.x = spawn.x;
-    player.y = spawn.y;
-    player.alive = true;
-    player.bombsAvailable = MAX_BOMBS;
-    player.power = DEFAULT_POWER;
-    player.playerIndex = playerIndex;
-
-    this.state.players.set(client.sessionId, player);
-    console.log(`Player ${playerIndex + 1} joined: ${client.sessionId}`);
-
-    if (this.state.players.size === 2) {
-      this.startGame();
-    }
-  }
-
-  onLeave(client) {
-    console.log(`Player left: ${client.sessionId}`);
-    this.state.players.delete(client.sessionId);
-    delete this.playerLastMove[client.sessionId];
-    this.restartVotes.delete(client.sessionId);
-
-    if (this.state.status === "playing") {
-      this.state.status = "ended";
-      this.state.result = "disconnect";
-      this.clock.setTimeout(() => {
-        this.state.status = "lobby";
-        this.state.result = "";
-        this.state.bombs.clear();
-      }, 2000);
-    }
-  }
-
-  startGame() {
-    this.restartVotes = new Set();
-    this.broadcast("restartVote", { current: 0, needed: 0 });
-
-    const cols = this.roomCols;
-    const rows = this.roomRows;
-
-    this.state.cols = cols;
-    this.state.rows = rows;
-
-    // Generate map
-    const { grid, hiddenPowerups } = generateMap(cols, rows);
-    this.grid = grid;
-    this.hiddenPowerups = hiddenPowerups;
-
-    // Flatten 2D grid to 1D ArraySchema and count blocks
-    this.state.map.clear();
-    this.blockCount = 0;
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        this.state.map.push(this.grid[y][x]);
-        if (this.grid[y][x] === BLOCK) this.blockCount++;
-      }
-    }
-
-    // Late-game state
-    this.lateGameActive = false;
-    this.lateGameStartedAt = 0;
-    this.lastPowerupDrop = 0;
-    this.lastShrink = 0;
-    this.shrinkRing = 1;
-
-    // Reset players to spawns
-    const spawns = computeSpawns(cols, rows);
-    let idx = 0;
-    this.state.players.forEach((player) => {
-      const spawn = spawns.players[idx];
-      player.x = spawn.x;
-      player.y = spawn.y;
-      player.alive = true;
-      player.bombsAvailable = MAX_BOMBS;
-      player.power = DEFAULT_POWER;
-      player.playerIndex = idx;
-      player.powerupType = 0;
-      player.powerupUses = 0;
-      player.hasShield = false;
-      player.facing = "down";
-      player.spawnX = spawn.x;
-      player.spawnY = spawn.y;
-      player.kills = 0;
-      player.invincibleUntil = 0;
-      player.respawnAt = 0;
-      // Lives: classic=1, lives=configured, kills=255 (effectively infinite)
-      player.lives = this.gameMode === "kills" ? 255
-        : this.gameMode === "lives" ? this.startingLives : 1;
-      idx++;
-    });
-
-    // Clear bombs and NPCs
-    this.state.bombs.clear();
-    this.state.npcs.clear();
-    this.bombIdCounter = 0;
-    this.playerLastMove = {};
-    this.npcLastMove = {};
-    this.botBrains = {};
-    this.respawnQueue = [];
-
-    // Spawn NPCs
-    for (let i = 0; i < this.botCount; i++) {
-      const spawn = spawns.npcs[i];
-      const npcId = `npc_${i}`;
-
-      const npc = new NPCState();
-      npc.x = spawn.x;
-      npc.y = spawn.y;
-      npc.alive = true;
-      npc.bombsAvailable = MAX_BOMBS;
-      npc.power = DEFAULT_POWER;
-      npc.difficulty = this.botDifficulty;
-      npc.npcIndex = i;
-      npc.facing = "down";
-      npc.spawnX = spawn.x;
-      npc.spawnY = spawn.y;
-      npc.kills = 0;
-      npc.invincibleUntil = 0;
-      npc.respawnAt = 0;
-      npc.lives = this.gameMode === "kills" ? 255
-        : this.gameMode === "lives" ? this.startingLives : 1;
-
-      this.state.npcs.set(npcId, npc);
-      this.botBrains[npcId] = new BotBrain(npcId, this.botDifficulty, cols, rows);
-    }
-
-    this.state.status = "playing";
-    this.state.result = "";
-
-    console.log("Game started!");
-  }
-
-  tick(dt) {
-    if (this.state.status !== "playing") return;
-
-    const now = Date.now();
-
-    // Check bomb timers
-    const toExplode = [];
-    this.state.bombs.forEach((bomb, id) => {
-      if (now >= bomb.explodeAt) {
-        toExplode.push(id);
-      }
-    });
-
-    for (const id of toExplode) {
-      const bomb = this.state.bombs.get(id);
-      if (!bomb) continue; // Already chain-detonated
-      this.detonateBomb(bomb);
-
-      const owner = this.state.players.get(bomb.ownerId)
-        || this.state.npcs.get(bomb.ownerId);
-      if (owner) {
-        owner.bombsAvailable++;
-      }
-
-      this.state.bombs.delete(id);
-    }
-
-    // Process respawns
-    this.respawnQueue = this.respawnQueue.filter(entry => {
-      if (now >= entry.respawnAt) {
-        const entity = entry.isNpc
-          ? this.state.npcs.get(entry.entityId)
-          : this.state.players.get(entry.entityId);
-        if (entity && !entity.alive && entity.lives > 0) {
-          entity.alive = true;
-          entity.x = entity.spawnX;
-          entity.y = entity.spawnY;
-          entity.respawnAt = 0;
-          entity.hasShield = false;
-          entity.powerupType = 0;
-          entity.powerupUses = 0;
-          entity.bombsAvailable = MAX_BOMBS;
-          entity.invincibleUntil = now + 1500;
-        }
-        return false;
-      }
-      return true;
-    });
-
-    // Late-game events (powerup drops + shrinking border)
-    if (this.lateGameActive) this.tickLateGame(now);
-
-    // Check win condition every tick (respawns change alive counts)
-    this.checkWinCondition();
-
-    this.updateBots(dt);
-  }
-
-  killEntity(entity, entityId, isNpc, killerId) {
-    const now = Date.now();
-
-    // Invincibility check
-    if (entity.invincibleUntil > now) return;
-
-    // Shield absorb
-    if (entity.hasShield) {
-      entity.hasShield = false;
-      this.broadcast("shieldAbsorb", { entityId });
+    client.view = new StateView();
+
+    // Spectators (by choice, or because every seat is taken) watch without an entity;
+    // having no player, their inputs never reach the simulation
+    if (options.spectate || this.state.players.size >= this.config.maxPlayers) {
+      // Quick Play wants a seat; the client moves on to another room
+      if (options.quickPlay) throw new Error("Room is full");
+      // maxClients counts the watchers' places on top of the seats; keep them
+      // from eating into the seats while the room is still filling up
+      if (this.spectators.size >= MAX_SPECTATORS) throw new Error("Too many spectators in this room");
+      this.spectators.add(client.sessionId);
+      this.state.spectators = this.spectators.size;
+      this.updateListing();
+      console.log(`Spectator joined: ${client.sessionId}`);
       return;
     }
 
-    entity.alive = false;
+    const player = this.sim.addPlayer(client.sessionId);
+    syncState(this.state, this.sim.state);
+    this.updateListing();
+    console.log(`Player ${player.playerIndex + 1} joined: ${client.sessionId}`);
 
-    // Credit the kill
-    if (killerId && killerId !== entityId) {
-      const killer = this.state.players.get(killerId)
-        || this.state.npcs.get(killerId);
-      if (killer) {
-        killer.kills++;
-      }
+    if (this.state.players.size === this.config.maxPlayers) {
+      this.startGame();
     }
+  }
 
-    // Classic mode: permanent death
-    if (this.gameMode === "classic") {
-      entity.lives = 0;
+  async onLeave(client, consented) {
+    if (this.spectators.delete(client.sessionId)) {
+      this.state.spectators = this.spectators.size;
+      this.updateListing();
+      console.log(`Spectator left: ${client.sessionId}`);
       return;
     }
+    // Joins rejected in onJoin (e.g. Quick Play into a full room) still leave
+    if (!this.sim.state.players.has(client.sessionId)) return;
 
-    // Decrement lives
-    entity.lives--;
-
-    if (entity.lives <= 0) return; // Permanently dead
-
-    // Schedule respawn
-    const delay = this.gameMode === "kills" ? 1500 : 2000;
-    entity.respawnAt = now + delay;
-    this.respawnQueue.push({
-      entityId,
-      respawnAt: entity.respawnAt,
-      isNpc,
-    });
-  }
+    this.restartVotes.delete(client.sessionId);
 
-  detonateBomb(bomb) {
-    const cols = this.roomCols;
-    const rows = this.roomRows;
-    const owner = this.state.players.get(bomb.ownerId)
-      || this.state.npcs.get(bomb.ownerId);
-
-    // Bombs always use standard explosion (weapons handle their own patterns)
-    const power = owner ? owner.power : DEFAULT_POWER;
-    const { tiles, destroyed } = computeExplosion(this.grid, bomb.x, bomb.y, power, cols, rows);
-
-    // Destroy blocks — reveal hidden powerups
-    for (const d of destroyed) {
-      const hidden = this.hiddenPowerups[d.y][d.x];
-      if (hidden > 0) {
-        this.grid[d.y][d.x] = hidden;
-        this.state.map[d.y * cols + d.x] = hidden;
-        this.hiddenPowerups[d.y][d.x] = 0;
-      } else {
-        this.grid[d.y][d.x] = EMPTY;
-        this.state.map[d.y * cols + d.x] = EMPTY;
+    // Dropped connections keep their seat for a while, with a bot playing it
+    if (!consented) {
+      console.log(`Player disconnected: ${client.sessionId} (holding seat for ${RECONNECT_SECONDS}s)`);
+      this.sim.setBotControl(client.sessionId, true);
+      syncState(this.state, this.sim.state);
+      try {
+        const rejoined = await this.allowReconnection(client, RECONNECT_SECONDS);
+        rejoined.view = new StateView();
+        console.log(`Player reconnected: ${client.sessionId}`);
+        this.sim.setBotControl(client.sessionId, false);
+        syncState(this.state, this.sim.state);
+        return;
+      } catch {
+        // Grace window expired: treat as a normal leave
       }
     }
-    this.blockCount -= destroyed.length;
-    if (this.blockCount <= 0 && !this.lateGameActive) {
-      this.lateGameActive = true;
-      this.lateGameStartedAt = Date.now();
-    }
-
-    // Kill entities in blast
-    this.state.players.forEach((player, sessionId) => {
-      if (!player.alive) return;
-      for (const t of tiles) {
-        if (t.x === player.x && t.y === player.y) {
-          this.killEntity(player, sessionId, false, bomb.ownerId);
-          break;
-        }
-      }
-    });
-
-    this.state.npcs.forEach((npc, npcId) => {
-      if (!npc.alive) return;
-      for (const t of tiles) {
-        if (t.x === npc.x && t.y === npc.y) {
-          this.killEntity(npc, npcId, true, bomb.ownerId);
-          break;
-        }
-      }
-    });
 
-    // Chain explosions
-    const chainsToExplode = [];
-    this.state.bombs.forEach((otherBomb, id) => {
-      for (const t of tiles) {
-        if (t.x === otherBomb.x && t.y === otherBomb.y) {
-          chainsToExplode.push(id);
-          break;
-        }
-      }
-    });
-
-    this.broadcast("explosion", { tiles });
+    console.log(`Player left: ${client.sessionId}`);
+    this.sim.removePlayer(client.sessionId);
 
-    for (const id of chainsToExplode) {
-      const chainBomb = this.state.bombs.get(id);
-      if (chainBomb) {
-        const chainOwner = this.state.players.get(chainBomb.ownerId)
-          || this.state.npcs.get(chainBomb.ownerId);
-        if (chainOwner) chainOwner.bombsAvailable++;
-        this.state.bombs.delete(id);
-        this.detonateBomb(chainBomb);
-      }
+    if (this.sim.state.status === "playing") {
+      this.sim.abortRound("disconnect");
+      this.clock.setTimeout(() => {
+        this.sim.resetToLobby();
+        syncState(this.state, this.sim.state);
+        this.updateListing();
+      }, 2000);
     }
+    syncState(this.state, this.sim.state);
+    this.updateListing();
   }
 
-  handleWeaponFire(client) {
-    if (this.state.status !== "playing") return;
+  startGame() {
+    this.restartVotes = new Set();
+    this.broadcast("restartVote", { current: 0, needed: 0 });
 
-    const player = this.state.players.get(client.sessionId);
-    if (!player || !player.alive) return;
-    if (player.powerupType === 0 || player.powerupUses <= 0) return;
+    this.sim.startRound({ seed: this.nextSeed });
+    this.nextSeed = null;
+    syncState(this.state, this.sim.state);
+    this.updateListing();
 
-    this.fireWeapon(player, client.sessionId, false);
+    const round = this.config.series > 1 ? `, series round ${this.sim.state.seriesRound}` : "";
+    console.log(`Game started! (seed: ${this.sim.state.seed}${round})`);
   }
 
-  handleNpcWeaponFire(npcId, npc) {
-    if (!npc.alive) return;
-    if (npc.powerupType === 0 || npc.powerupUses <= 0) return;
-
-    this.fireWeapon(npc, npcId, true);
+  onGameEnd() {
+    if (this.sim.state.seriesWinner) console.log(`Series won by ${this.sim.state.seriesWinner}`);
+    this.updateListing();
+    this.saveReplay();
+    this.scheduleRestart();
   }
 
-  fireWeapon(entity, entityId, isNpc) {
-    const cols = this.roomCols;
-    const rows = this.roomRows;
-    const dir = entity.facing;
-
-    let result;
-    let weaponType;
-    if (entity.powerupType === 1) {
-      result = computeFlamethrowerShot(this.grid, entity.x, entity.y, dir, cols, rows);
-      weaponType = "flamethrower";
-    } else if (entity.powerupType === 2) {
-      result = computeRaygunShot(this.grid, entity.x, entity.y, dir, cols, rows);
-      weaponType = "raygun";
-    } else {
-      return;
-    }
-
-    const { tiles, destroyed } = result;
-
-    // Decrement uses
-    entity.powerupUses--;
-    if (entity.powerupUses <= 0) {
-      entity.powerupType = 0;
-      entity.powerupUses = 0;
-    }
+  saveReplay() {
+    const replay = this.sim.takeReplay();
+    if (!replay) return;
+    replay.recordedAt = new Date().toISOString();
+    replay.roomCode = this.roomCode;
+
+    const id = `${Date.now()}-${this.roomId}`;
+    mkdir(REPLAY_DIR, { recursive: true })
+      .then(() => writeFile(path.join(REPLAY_DIR, `${id}.json`), JSON.stringify(replay)))
+      .then(() => console.log(`Replay saved: ${id} (${replay.ticks} ticks, ${replay.inputs.length} inputs)`))
+      .catch((err) => console.error(`Failed to save replay ${id}:`, err));
+  }
 
-    // Destroy blocks, reveal powerups
-    for (const d of destroyed) {
-      const hidden = this.hiddenPowerups[d.y][d.x];
-      if (hidden > 0) {
-        this.grid[d.y][d.x] = hidden;
-        this.state.map[d.y * this.roomCols + d.x] = hidden;
-        this.hiddenPowerups[d.y][d.x] = 0;
+  scheduleRestart() {
+    this.clock.setTimeout(() => {
+      // A restart vote may have started the next round already
+      if (this.sim.state.status !== "ended") return;
+      if (this.state.players.size === this.config.maxPlayers) {
+        this.startGame();
       } else {
-        this.grid[d.y][d.x] = EMPTY;
-        this.state.map[d.y * this.roomCols + d.x] = EMPTY;
-      }
-    }
-    this.blockCount -= destroyed.length;
-    if (this.blockCount <= 0 && !this.lateGameActive) {
-      this.lateGameActive = true;
-      this.lateGameStartedAt = Date.now();
-    }
-
-    // Kill entities in affected tiles
-    this.state.players.forEach((p, sid) => {
-      if (!p.alive || sid === entityId) return;
-      for (const t of tiles) {
-        if (t.x === p.x && t.y === p.y) {
-          this.killEntity(p, sid, false, entityId);
-          break;
-        }
+        this.sim.resetToLobby();
+        syncState(this.state, this.sim.state);
+        this.updateListing();
       }
-    });
-
-    this.state.npcs.forEach((npc, nid) => {
-      if (!npc.alive || nid === entityId) return;
-      for (const t of tiles) {
-        if (t.x === npc.x && t.y === npc.y) {
-          this.killEntity(npc, nid, true, entityId);
-          break;
-        }
-      }
-    });
+    }, this.sim.restartDelay());
+  }
 
-    // Chain-detonate any bombs hit
-    const chainsToExplode = [];
-    this.state.bombs.forEach((bomb, id) => {
-      for (const t of tiles) {
-        if (t.x === bomb.x && t.y === bomb.y) {
-          chainsToExplode.push(id);
-          break;
-        }
-      }
+  // What the room browser (/api/rooms) shows for this room
+  updateListing() {
+    const c = this.config;
+    this.setMetadata({
+      roomCode: this.roomCode,
+      public: this.isPublic,
+      gridSize: c.gridSize,
+      mapName: c.customMap ? c.customMap.name : "",
+      mapTemplate: c.mapTemplate,
+      gameMode: c.gameMode,
+      teams: c.teams,
+      series: c.series,
+      bots: c.botCount,
+      botDifficulty: c.botDifficulty,
+      maxPlayers: c.maxPlayers,
+      players: this.state.players.size,
+      spectators: this.spectators.size,
+      status: this.sim.state.status,
     });
-
-    this.broadcast("weaponFire", { tiles, weaponType, dir, originX: entity.x, originY: entity.y });
-
-    for (const id of chainsToExplode) {
-      const chainBomb = this.state.bombs.get(id);
-      if (chainBomb) {
-        const chainOwner = this.state.players.get(chainBomb.ownerId)
-          || this.state.npcs.get(chainBomb.ownerId);
-        if (chainOwner) chainOwner.bombsAvailable++;
-        this.state.bombs.delete(id);
-        this.detonateBomb(chainBomb);
-      }
-    }
   }
+}
 
-  tickLateGame(now) {
-    const cols = this.roomCols;
-    const rows = this.roomRows;
+// --- Replay Room ---
+// Plays a recorded match back through GameSimulation so clients watch it
+// with the normal GameScene. Viewers never take a player slot.
 
-    // Periodic powerup drops every 8 seconds
-    if (now - this.lastPowerupDrop >= 8000) {
-      this.lastPowerupDrop = now;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
 
-      // Count existing powerups on map (cap at 5)
-      let powerupsOnMap = 0;
-      for (let y = 0; y < rows; y++) {
-        for (let x = 0; x < cols; x++) {
-          if (this.grid[y][x] >= POWERUP_FLAMETHROWER) powerupsOnMap++;
-        }
-      }
-
-      if (powerupsOnMap < 5) {
-        // Collect empty tiles
-        const empties = [];
-        for (let y = 1; y < rows - 1; y++) {
-          for (let x = 1; x < cols - 1; x++) {
-            if (this.grid[y][x] === EMPTY) empties.push({ x, y });
-          }
-        }
-        if (empties.length > 0) {
-          const spot = empties[Math.floor(Math.random() * empties.length)];
-          const types = [POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD];
-          const pType = types[Math.floor(Math.random() * types.length)];
-          this.grid[spot.y][spot.x] = pType;
-          this.state.map[spot.y * cols + spot.x] = pType;
-          this.broadcast("powerupDrop", { x: spot.x, y: spot.y });
-        }
-      }
-    }
+class ReplayRoom extends Room {
+  async onCreate(options) {
+    this.replay = await loadReplay(options.replayId);
 
-    // Shrinking border — starts 30s after late game begins
-    if (now - this.lateGameStartedAt >= 30000 && now - this.lastShrink >= 3000) {
-      const ring = this.shrinkRing;
-      // Stop if playable area would be less than 5x5
-      const playableW = cols - 2 * (ring + 1);
-      const playableH = rows - 2 * (ring + 1);
-      if (playableW < 5 || playableH < 5) return;
-
-      this.lastShrink = now;
-      const shrinkTiles = [];
-
-      // Top and bottom edges of this ring
-      for (let x = ring; x < cols - ring; x++) {
-        if (this.grid[ring][x] !== WALL) shrinkTiles.push({ x, y: ring });
-        if (this.grid[rows - 1 - ring][x] !== WALL) shrinkTiles.push({ x, y: rows - 1 - ring });
-      }
-      // Left and right edges (excluding corners already covered)
-      for (let y = ring + 1; y < rows - 1 - ring; y++) {
-        if (this.grid[y][ring] !== WALL) shrinkTiles.push({ x: ring, y });
-        if (this.grid[y][cols - 1 - ring] !== WALL) shrinkTiles.push({ x: cols - 1 - ring, y });
-      }
+    this.setState(new GameState());
+    this.maxClients = 8;
+    this.fastForwarding = false;
+
+    this.sim = GameSimulation.fromReplay(this.replay, {
+      clock: () => Date.now(),
+      emit: (type, message) => {
+        if (!this.fastForwarding) this.broadcast(type, message);
+      },
+      onEnd: () => { this.paused = true; },
+    });
+    syncState(this.state, this.sim.state);
 
-      // Convert tiles to walls
-      for (const t of shrinkTiles) {
-        this.grid[t.y][t.x] = WALL;
-        this.state.map[t.y * cols + t.x] = WALL;
-      }
+    this.paused = false;
+    this.speed = 1;
+    this.speedCarry = 0;
+    this.lastStatusBroadcast = 0;
 
-      // Kill entities on shrunk tiles
-      this.state.players.forEach((player, sessionId) => {
-        if (!player.alive) return;
-        for (const t of shrinkTiles) {
-          if (t.x === player.x && t.y === player.y) {
-            this.killEntity(player, sessionId, false, null);
-            break;
-          }
-        }
-      });
-      this.state.npcs.forEach((npc, npcId) => {
-        if (!npc.alive) return;
-        for (const t of shrinkTiles) {
-          if (t.x === npc.x && t.y === npc.y) {
-            this.killEntity(npc, npcId, true, null);
-            break;
-          }
-        }
-      });
+    this.setPatchRate(TICK_MS);
+    this.setSimulationInterval(() => this.replayTick(), TICK_MS);
 
-      // Detonate bombs on shrunk tiles
-      const bombsToDetonate = [];
-      this.state.bombs.forEach((bomb, id) => {
-        for (const t of shrinkTiles) {
-          if (t.x === bomb.x && t.y === bomb.y) {
-            bombsToDetonate.push(id);
-            break;
-          }
-        }
-      });
-      for (const id of bombsToDetonate) {
-        const bomb = this.state.bombs.get(id);
-        if (bomb) {
-          const owner = this.state.players.get(bomb.ownerId)
-            || this.state.npcs.get(bomb.ownerId);
-          if (owner) owner.bombsAvailable++;
-          this.state.bombs.delete(id);
-          this.detonateBomb(bomb);
-        }
-      }
+    this.onMessage("replayControl", (client, message) => {
+      this.handleReplayControl(message || {});
+    });
 
-      this.broadcast("shrink", { tiles: shrinkTiles });
-      this.shrinkRing++;
-    }
+    console.log(`Replay room created: ${this.roomId} (replay: ${options.replayId}, ${this.replay.ticks} ticks)`);
   }
 
-  checkWinCondition() {
-    if (this.gameMode === "kills") {
-      return this.checkKillsWin();
-    }
-    return this.checkLastStandingWin();
+  onJoin(client) {
+    // Replay viewers see every mine
+    client.view = new StateView();
+    revealMines([client], this.state, () => true);
+    console.log(`Replay viewer joined: ${client.sessionId}`);
+    this.broadcastReplayStatus();
   }
 
-  checkLastStandingWin() {
-    const entities = [];
-
-    this.state.players.forEach((player, sessionId) => {
-      // Entity is "out" if dead with no lives remaining and not respawning
-      const isOut = !player.alive && player.lives <= 0;
-      entities.push({ id: sessionId, out: isOut, isNpc: false, playerIndex: player.playerIndex });
-    });
-
-    this.state.npcs.forEach((npc, npcId) => {
-      const isOut = !npc.alive && npc.lives <= 0;
-      entities.push({ id: npcId, out: isOut, isNpc: true });
-    });
-
-    if (entities.length < 2) return;
-
-    const remaining = entities.filter(e => !e.out);
-
-    if (remaining.length === 0) {
-      this.endGame("draw");
-    } else if (remaining.length === 1) {
-      const winner = remaining[0];
-      this.endGame(winner.isNpc ? "npc" : (winner.playerIndex === 0 ? "p1" : "p2"));
-    }
+  onLeave(client) {
+    console.log(`Replay viewer left: ${client.sessionId}`);
   }
 
-  checkKillsWin() {
-    let winner = null;
-
-    this.state.players.forEach((player, sessionId) => {
-      if (player.kills >= this.killTarget) {
-        if (!winner || player.kills > winner.kills) {
-          winner = { isNpc: false, playerIndex: player.playerIndex, kills: player.kills };
-        }
+  replayTick() {
+    if (!this.paused) {
+      this.speedCarry += this.speed;
+      while (this.speedCarry >= 1) {
+        this.speedCarry -= 1;
+        if (!this.stepReplay()) break;
       }
-    });
-
-    this.state.npcs.forEach((npc, npcId) => {
-      if (npc.kills >= this.killTarget) {
-        if (!winner || npc.kills > winner.kills) {
-          winner = { isNpc: true, id: npcId, kills: npc.kills };
-        }
-      }
-    });
-
-    if (winner) {
-      this.endGame(winner.isNpc ? "npc" : (winner.playerIndex === 0 ? "p1" : "p2"));
+      syncState(this.state, this.sim.state);
+      revealMines(this.clients, this.state, () => true);
     }
-  }
 
-  endGame(result) {
-    this.state.status = "ended";
-    this.state.result = result;
-    this.scheduleRestart();
+    if (Date.now() - this.lastStatusBroadcast >= 250) this.broadcastReplayStatus();
   }
 
-  scheduleRestart() {
-    this.clock.setTimeout(() => {
-      if (this.state.players.size === 2) {
-        this.startGame();
-      } else {
-        this.state.status = "lobby";
-        this.state.result = "";
-      }
-    }, 3000);
-  }
-
-  handleMove(client, message) {
-    if (this.state.status !== "playing") return;
-
-    const player = this.state.players.get(client.sessionId);
-    if (!player || !player.alive) return;
-
-    const now = Date.now();
-    const lastMove = this.playerLastMove[client.sessionId] || 0;
-    if (now - lastMove < this.moveDelay) return;
-
-    const { dir } = message;
-    let dx = 0, dy = 0;
-    if (dir === "up") dy = -1;
-    else if (dir === "down") dy = 1;
-    else if (dir === "left") dx = -1;
-    else if (dir === "right") dx = 1;
-    else return;
-
-    player.facing = dir;
-
-    const nx = player.x + dx;
-    const ny = player.y + dy;
-
-    if (nx < 0 || nx >= this.roomCols || ny < 0 || ny >= this.roomRows) return;
-
-    const tile = this.grid[ny][nx];
-    if (tile === WALL || tile === BLOCK) return;
-
-    let blocked = false;
-    this.state.bombs.forEach((bomb) => {
-      if (bomb.x === nx && bomb.y === ny) blocked = true;
-    });
-    if (blocked) return;
-
-    player.x = nx;
-    player.y = ny;
-    this.playerLastMove[client.sessionId] = now;
-
-    // Powerup pickup
-    const tileAtNew = this.grid[ny][nx];
-    if (tileAtNew >= 3 && tileAtNew <= 5) {
-      applyPowerup(player, tileAtNew);
-      this.grid[ny][nx] = EMPTY;
-      this.state.map[ny * this.roomCols + nx] = EMPTY;
+  // Advance one recorded tick; returns false once the replay has finished
+  stepReplay() {
+    if (this.sim.state.status !== "playing" || this.sim.tickCount >= this.replay.ticks) {
+      this.paused = true;
+      this.speedCarry = 0;
+      return false;
     }
+    this.sim.step();
+    return true;
   }
 
-  handleBomb(client) {
-    if (this.state.status !== "playing") return;
-
-    const player = this.state.players.get(client.sessionId);
-    if (!player || !player.alive) return;
-    if (player.bombsAvailable <= 0) return;
-
-    let occupied = false;
-    this.state.bombs.forEach((bomb) => {
-      if (bomb.x === player.x && bomb.y === player.y) occupied = true;
-    });
-    if (occupied) return;
-
-    const bomb = new BombState();
-    bomb.x = player.x;
-    bomb.y = player.y;
-    bomb.ownerId = client.sessionId;
-    bomb.explodeAt = Date.now() + BOMB_FUSE;
+  seek(targetTick) {
+    const target = Math.min(Math.max(Math.floor(targetTick) || 0, 0), this.replay.ticks);
+    if (target < this.sim.tickCount || this.sim.state.status !== "playing") {
+      this.sim.restartReplay();
+    }
 
-    const id = `b${this.bombIdCounter++}`;
-    this.state.bombs.set(id, bomb);
-    player.bombsAvailable--;
+    // Fast-forward silently; clients only see the resulting state
+    this.fastForwarding = true;
+    while (this.sim.tickCount < target) {
+      if (!this.stepReplay()) break;
+    }
+    this.fastForwarding = false;
+    syncState(this.state, this.sim.state);
+    revealMines(this.clients, this.state, () => true);
+    this.broadcastReplayStatus();
   }
 
-  updateBots(dt) {
-    if (this.state.status !== "playing") return;
-
-    const now = Date.now();
-
-    const alivePlayers = [];
-    this.state.players.forEach((player, sessionId) => {
-      if (player.alive) {
-        alivePlayers.push({ x: player.x, y: player.y, id: sessionId });
+  handleReplayControl(message) {
+    if (message.action === "toggle") {
+      if (this.paused && (this.sim.state.status !== "playing" || this.sim.tickCount >= this.replay.ticks)) {
+        this.seek(0);
       }
-    });
-
-    this.state.npcs.forEach((npc, npcId) => {
-      if (!npc.alive) return;
-
-      const brain = this.botBrains[npcId];
-      if (!brain) return;
-
-      const action = brain.update(dt, npc, this.grid, this.state.bombs, alivePlayers, now);
-      if (!action) return;
-
-      if (action.type === "move") {
-        this.handleNpcMove(npcId, npc, action.dir, now);
-      } else if (action.type === "bomb") {
-        this.handleNpcBomb(npcId, npc, now);
-      } else if (action.type === "fire") {
-        npc.facing = action.dir;
-        this.handleNpcWeaponFire(npcId, npc);
-      }
-    });
-  }
-
-  handleNpcMove(npcId, npc, dir, now) {
-    const lastMove = this.npcLastMove[npcId] || 0;
-    if (now - lastMove < this.moveDelay) return;
-
-    let dx = 0, dy = 0;
-    if (dir === "up") dy = -1;
-    else if (dir === "down") dy = 1;
-    else if (dir === "left") dx = -1;
-    else if (dir === "right") dx = 1;
-    else return;
-
-    npc.facing = dir;
-
-    const nx = npc.x + dx;
-    const ny = npc.y + dy;
-
-    if (nx < 0 || nx >= this.roomCols || ny < 0 || ny >= this.roomRows) return;
-
-    const tile = this.grid[ny][nx];
-    if (tile === WALL || tile === BLOCK) return;
-
-    let blocked = false;
-    this.state.bombs.forEach((bomb) => {
-      if (bomb.x === nx && bomb.y === ny) blocked = true;
-    });
-    if (blocked) return;
-
-    npc.x = nx;
-    npc.y = ny;
-    this.npcLastMove[npcId] = now;
-
-    // Powerup pickup
-    const tileAtNew = this.grid[ny][nx];
-    if (tileAtNew >= 3 && tileAtNew <= 5) {
-      applyPowerup(npc, tileAtNew);
-      this.grid[ny][nx] = EMPTY;
-      this.state.map[ny * this.roomCols + nx] = EMPTY;
+      this.paused = !this.paused;
+    } else if (message.action === "seek") {
+      this.seek(message.tick);
+    } else if (message.action === "speed") {
+      if (REPLAY_SPEEDS.includes(message.speed)) this.speed = message.speed;
     }
+    this.broadcastReplayStatus();
   }
 
-  handleNpcBomb(npcId, npc, now) {
-    if (npc.bombsAvailable <= 0) return;
-
-    let occupied = false;
-    this.state.bombs.forEach((bomb) => {
-      if (bomb.x === npc.x && bomb.y === npc.y) occupied = true;
+  broadcastReplayStatus() {
+    this.lastStatusBroadcast = Date.now();
+    this.broadcast("replayStatus", {
+      tick: this.sim.tickCount,
+      totalTicks: this.replay.ticks,
+      tickMs: TICK_MS,
+      paused: this.paused,
+      speed: this.speed,
     });
-    if (occupied) return;
-
-    const bomb = new BombState();
-    bomb.x = npc.x;
-    bomb.y = npc.y;
-    bomb.ownerId = npcId;
-    bomb.explodeAt = Date.now() + BOMB_FUSE;
-
-    const id = `b${this.bombIdCounter++}`;
-    this.state.bombs.set(id, bomb);
-    npc.bombsAvailable--;
   }
 }
 
@@ -1010,6 +784,7 @@ const gameServer = new Server({
   transport: new WebSocketTransport({ server: httpServer }),
 });
 gameServer.define("game", GameRoom).filterBy(["roomCode"]);
+gameServer.define("replay", ReplayRoom);
 
 gameServer.listen(port).then(() => {
   console.log(`Bomb It server listening on http://localhost:${port}`);
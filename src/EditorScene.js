@@ -0,0 +1,226 @@
+// EditorScene.js — custom map editor: paint tiles and spawns on a grid of any
+// allowed size, with live validation. Files and the lobby are main.js's job;
+// it passes callbacks in through the scene data.
+
+import Phaser from "phaser";
+import { TILE, TILE_COLORS, EMPTY, WALL, BLOCK, POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD, POWERUP_BOMB_UP, POWERUP_FIRE_UP, POWERUP_SPEED_UP, POWERUP_KICK, POWERUP_GLOVE, POWERUP_REMOTE, POWERUP_PIERCE, POWERUP_MINE, POWERUP_CLUSTER, MAX_ENTITIES } from "./map.js";
+import { MAP_MIN_SIZE, MAP_MAX_COLS, MAP_MAX_ROWS, createBlankMap, checkSpawn, validateMap } from "./mapfile.js";
+import { generateTextures } from "./sprites.js";
+
+// Palette, in the order the number keys pick them (spawn = "spawn" instead of a tile)
+const TOOLS = [
+  { name: "Floor", tile: EMPTY },
+  { name: "Wall", tile: WALL },
+  { name: "Block", tile: BLOCK },
+  { name: "Spawn", tile: "spawn" },
+  { name: "Flamethrower", tile: POWERUP_FLAMETHROWER, texture: "powerup_flame" },
+  { name: "Ray gun", tile: POWERUP_RAYGUN, texture: "powerup_ray" },
+  { name: "Shield", tile: POWERUP_SHIELD, texture: "powerup_shield" },
+  { name: "Bomb up", tile: POWERUP_BOMB_UP, texture: "powerup_bomb" },
+  { name: "Fire up", tile: POWERUP_FIRE_UP, texture: "powerup_fire" },
+  { name: "Speed up", tile: POWERUP_SPEED_UP, texture: "powerup_speed" },
+  { name: "Kick", tile: POWERUP_KICK, texture: "powerup_kick" },
+  { name: "Glove", tile: POWERUP_GLOVE, texture: "powerup_glove" },
+  { name: "Remote", tile: POWERUP_REMOTE, texture: "powerup_remote" },
+  { name: "Pierce", tile: POWERUP_PIERCE, texture: "powerup_pierce" },
+  { name: "Mine", tile: POWERUP_MINE, texture: "powerup_mine" },
+  { name: "Cluster", tile: POWERUP_CLUSTER, texture: "powerup_cluster" },
+];
+const POWERUP_TEXTURES = Object.fromEntries(TOOLS.filter((t) => t.texture).map((t) => [t.tile, t.texture]));
+
+// Space under the map for the palette, buttons and validation messages
+const PANEL_HEIGHT = 150;
+// The canvas never gets narrower than the panel needs
+const MIN_WIDTH = 640;
+
+export default class EditorScene extends Phaser.Scene {
+  constructor() {
+    super("EditorScene");
+  }
+
+  /**
+   * data.map: map to start from (a blank medium map when omitted)
+   * data.onChange(map): after every edit, e.g. to keep a draft
+   * data.onImport(): Promise of a map picked from a file (null if cancelled)
+   * data.onExport(map), data.onHost(map), data.onExit()
+   */
+  init(data) {
+    this.map = data.map || createBlankMap(13, 11);
+    this.callbacks = data;
+  }
+
+  create() {
+    generateTextures(this);
+
+    this.tool = TOOLS.find((t) => t.tile === BLOCK);
+    this.tileGraphics = this.add.graphics();
+    this.spawnGraphics = this.add.graphics().setDepth(2);
+    this.panelGraphics = this.add.graphics();
+    this.powerupImages = [];
+    this.spawnLabels = [];
+
+    // Palette: one swatch per tool, in a row under the map
+    this.paletteItems = TOOLS.map((tool, i) => {
+      const item = tool.texture
+        ? this.add.image(0, 0, tool.texture).setOrigin(0, 0)
+        : this.add.rectangle(0, 0, TILE - 4, TILE - 4, tool.tile === "spawn" ? 0x404040 : TILE_COLORS[tool.tile]).setOrigin(0, 0);
+      item.setInteractive({ useHandCursor: true }).on("pointerdown", () => { this.tool = TOOLS[i]; });
+      return item;
+    });
+    this.toolText = this.add.text(0, 0, "", { fontSize: "12px", fill: "#ffcc00" });
+
+    this.buttons = [
+      this.makeButton("Cols -", () => this.resize(this.map.cols - 2, this.map.rows)),
+      this.makeButton("Cols +", () => this.resize(this.map.cols + 2, this.map.rows)),
+      this.makeButton("Rows -", () => this.resize(this.map.cols, this.map.rows - 2)),
+      this.makeButton("Rows +", () => this.resize(this.map.cols, this.map.rows + 2)),
+      this.makeButton("Clear", () => this.loadMap(createBlankMap(this.map.cols, this.map.rows, this.map.name))),
+      this.makeButton("Import", () => this.importMap()),
+      this.makeButton("Export", () => this.callbacks.onExport(this.map)),
+      this.makeButton("Host", () => {
+        if (validateMap(this.map).length === 0) this.callbacks.onHost(this.map);
+      }),
+      this.makeButton("Back", () => this.callbacks.onExit()),
+    ];
+    this.messageText = this.add.text(4, 0, "", { fontSize: "12px", fill: "#ff6666", lineSpacing: 2 });
+
+    // Left button paints with the current tool; right button clears to floor
+    this.input.mouse.disableContextMenu();
+    this.input.on("pointerdown", (pointer) => this.paintAt(pointer, true));
+    this.input.on("pointermove", (pointer) => {
+      if (pointer.isDown) this.paintAt(pointer, false);
+    });
+    this.input.keyboard.on("keydown", (event) => {
+      const index = "1234567890".indexOf(event.key);
+      if (index >= 0 && index < TOOLS.length) this.tool = TOOLS[index];
+    });
+
+    this.loadMap(this.map);
+  }
+
+  makeButton(label, onClick) {
+    return this.add.text(0, 0, label, {
+      fontSize: "12px",
+      fill: "#cccccc",
+      backgroundColor: "#333333",
+      padding: { x: 6, y: 4 },
+    }).setInteractive({ useHandCursor: true }).on("pointerdown", onClick);
+  }
+
+  async importMap() {
+    const map = await this.callbacks.onImport();
+    if (map) this.loadMap(map);
+  }
+
+  loadMap(map) {
+    this.map = map;
+    this.layout();
+    this.changed();
+  }
+
+  // Grow or shrink by whole pillar steps, keeping what's painted and re-walling the edge
+  resize(cols, rows) {
+    cols = Math.min(Math.max(cols, MAP_MIN_SIZE), MAP_MAX_COLS);
+    rows = Math.min(Math.max(rows, MAP_MIN_SIZE), MAP_MAX_ROWS);
+    if (cols === this.map.cols && rows === this.map.rows) return;
+
+    const resized = createBlankMap(cols, rows, this.map.name);
+    for (let y = 1; y < Math.min(rows, this.map.rows) - 1; y++) {
+      for (let x = 1; x < Math.min(cols, this.map.cols) - 1; x++) {
+        resized.tiles[y][x] = this.map.tiles[y][x];
+      }
+    }
+    resized.spawns = this.map.spawns.filter((s) => s.x < cols - 1 && s.y < rows - 1);
+    this.loadMap(resized);
+  }
+
+  // Canvas size and panel positions follow the map size
+  layout() {
+    const { cols, rows } = this.map;
+    const width = Math.max(cols * TILE, MIN_WIDTH);
+    const top = rows * TILE;
+    this.scale.resize(width, top + PANEL_HEIGHT);
+
+    this.paletteItems.forEach((item, i) => item.setPosition(4 + i * TILE + 2, top + 8));
+    this.toolText.setPosition(4, top + 8 + TILE + 4);
+    let x = 4;
+    for (const button of this.buttons) {
+      button.setPosition(x, top + 64);
+      x += button.width + 6;
+    }
+    this.messageText.setPosition(4, top + 96);
+  }
+
+  paintAt(pointer, fresh) {
+    const x = Math.floor(pointer.x / TILE);
+    const y = Math.floor(pointer.y / TILE);
+    // The border always stays wall
+    if (x <= 0 || y <= 0 || x >= this.map.cols - 1 || y >= this.map.rows - 1) return;
+
+    const erase = pointer.rightButtonDown();
+    const spawnIndex = this.map.spawns.findIndex((s) => s.x === x && s.y === y);
+
+    if (!erase && this.tool.tile === "spawn") {
+      // Spawns toggle on a fresh click only, so a drag doesn't flicker them
+      if (!fresh) return;
+      if (spawnIndex >= 0) this.map.spawns.splice(spawnIndex, 1);
+      else if (this.map.spawns.length < MAX_ENTITIES) this.map.spawns.push({ x, y });
+    } else {
+      const tile = erase ? EMPTY : this.tool.tile;
+      if (this.map.tiles[y][x] === tile && !(erase && spawnIndex >= 0)) return;
+      this.map.tiles[y][x] = tile;
+      if (erase && spawnIndex >= 0) this.map.spawns.splice(spawnIndex, 1);
+    }
+    this.changed();
+  }
+
+  changed() {
+    this.redraw();
+    if (this.callbacks.onChange) this.callbacks.onChange(this.map);
+  }
+
+  redraw() {
+    const { cols, rows, tiles, spawns } = this.map;
+
+    this.tileGraphics.clear();
+    for (const image of this.powerupImages) image.destroy();
+    this.powerupImages = [];
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const tile = tiles[y][x];
+        this.tileGraphics.fillStyle(TILE_COLORS[tile] || 0x404040, 1);
+        this.tileGraphics.fillRect(x * TILE, y * TILE, TILE - 1, TILE - 1);
+        if (POWERUP_TEXTURES[tile]) {
+          this.powerupImages.push(this.add.image(x * TILE, y * TILE, POWERUP_TEXTURES[tile]).setOrigin(0, 0).setDepth(1));
+        }
+      }
+    }
+
+    // Numbered rings in slot order (players take the first ones); red when cramped
+    this.spawnGraphics.clear();
+    for (const label of this.spawnLabels) label.destroy();
+    this.spawnLabels = spawns.map((s, i) => {
+      const ok = !checkSpawn(this.map, s);
+      this.spawnGraphics.lineStyle(2, ok ? 0x44ff88 : 0xff4444, 1);
+      this.spawnGraphics.strokeCircle(s.x * TILE + TILE / 2, s.y * TILE + TILE / 2, TILE / 2 - 3);
+      return this.add.text(s.x * TILE + TILE / 2, s.y * TILE + TILE / 2, String(i + 1), {
+        fontSize: "13px", fill: ok ? "#44ff88" : "#ff4444", fontStyle: "bold",
+      }).setOrigin(0.5).setDepth(3);
+    });
+
+    const errors = validateMap(this.map);
+    this.messageText.setColor(errors.length ? "#ff6666" : "#44ff88");
+    this.messageText.setText(errors.length
+      ? errors.slice(0, 3).join("\n") + (errors.length > 3 ? `\n...and ${errors.length - 3} more` : "")
+      : `Ready to play: ${cols}x${rows}, ${spawns.length} spawns`);
+  }
+
+  update() {
+    const { rows } = this.map;
+    const index = TOOLS.indexOf(this.tool);
+    this.panelGraphics.clear();
+    this.panelGraphics.lineStyle(2, 0xffcc00, 1);
+    this.panelGraphics.strokeRect(4 + index * TILE, rows * TILE + 6, TILE, TILE);
+    this.toolText.setText(`Tool: ${this.tool.name}   (left: paint, right: erase, 1-0: pick tool)`);
+  }
+}
@@ -1,13 +1,37 @@
 // GameScene.js — client renderer with pixel art sprites
 
 import Phaser from "phaser";
-import { TILE, TILE_COLORS, POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD } from "./map.js";
-import { EXPLOSION_DURATION } from "./rules.js";
+import { TILE, TILE_COLORS, POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD, POWERUP_BOMB_UP, POWERUP_FIRE_UP, POWERUP_SPEED_UP, POWERUP_KICK, POWERUP_GLOVE, POWERUP_REMOTE, POWERUP_PIERCE, POWERUP_MINE, POWERUP_CLUSTER, EXIT, isPowerupTile } from "./map.js";
+import { EXPLOSION_DURATION, BOMB_FUSE, REMOTE_FUSE, BOMBLET_FUSE, MOVE_DELAY, SPEED_UP_STEP, HILL_RADIUS, DIR_MAP, canMoveTo } from "./rules.js";
 import { generateTextures } from "./sprites.js";
 import { SoundManager } from "./audio.js";
+import { TICK_MS } from "./simulation.js";
+import { CAMPAIGN_STAGES } from "./monsters.js";
+import { TileMotion, ServerClock } from "./interpolation.js";
+import { ACTIONS, ACTION_LABELS, MAX_KEYBOARD_SEATS, seatBindings, saveSeatBinding, resetKeyBindings, addBindingKeys, keyNameForCode, keyLabel, describeBinding, PAD_ACTIONS, PAD_REMAP_BUTTON, loadPadButtons, savePadButtons, padDirection, TOUCH_PANEL_HEIGHT, isTouchDevice } from "./controls.js";
 
 const NPC_THEMES = ["green", "purple", "orange", "yellow"];
-const THEME_COLORS = { blue: 0x2266cc, red: 0xcc2222, green: 0x22aa44, purple: 0x8833cc, orange: 0xcc8822, yellow: 0xcccc22 };
+// You are always blue; other players take these in playerIndex order
+const OPPONENT_THEMES = ["red", "cyan", "pink", "white", "black", "brown", "lime"];
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+const REPLAY_SEEK_MS = 5000;
+// Remote entities render this far behind the server clock to absorb patch jitter
+const INTERP_DELAY = 100;
+const SPECTATOR_ZOOM = 2;
+// Team 1 and 2 colors (team 0 is free-for-all)
+const TEAM_NAMES = ["", "Blue", "Red"];
+const TEAM_COLORS = [0xffffff, 0x4488ff, 0xff4444];
+const TEAM_TEXT_COLORS = ["#ffffff", "#66aaff", "#ff6666"];
+// Campaign monsters are NPCs that aren't bomber bots
+const isMonster = (npc) => !!npc.kind && npc.kind !== "bomber";
+const BOMB_TEXTURES = { remote: "bomb_remote", pierce: "bomb_pierce", mine: "bomb_mine", cluster: "bomb_cluster" };
+// Full fuse per bomb type, for the fuse bar (mines have none; remotes blink)
+const FUSE_LENGTHS = { normal: BOMB_FUSE, pierce: BOMB_FUSE, cluster: BOMB_FUSE, bomblet: BOMBLET_FUSE, remote: REMOTE_FUSE };
+const BOMB_TYPE_LABELS = { remote: "Remote", pierce: "Pierce", mine: "Mine", cluster: "Cluster" };
+// On-screen D-pad: button size and the gap between the centre and each arrow
+const TOUCH_BUTTON = 44;
+const TOUCH_DPAD_STEP = 48;
+const THEME_COLORS = { blue: 0x2266cc, red: 0xcc2222, green: 0x22aa44, purple: 0x8833cc, orange: 0xcc8822, yellow: 0xcccc22, cyan: 0x22cccc, pink: 0xee66aa, white: 0xeeeeee, black: 0x333333, brown: 0x885533, lime: 0x99ee22 };
 
 export default class GameScene extends Phaser.Scene {
   constructor() {
@@ -16,6 +40,8 @@ export default class GameScene extends Phaser.Scene {
 
   init(data) {
     this.room = data.room;
+    // Replay viewers watch a recorded match: no player of their own, replay controls instead
+    this.isReplay = !!data.replay;
   }
 
   getDimensions() {
@@ -28,6 +54,17 @@ export default class GameScene extends Phaser.Scene {
     return { cols: 13, rows: 11 };
   }
 
+  getPlayerTheme(player, sessionId) {
+    if (sessionId === this.room.sessionId) return "blue";
+    const me = this.room.state.players.get(this.room.sessionId);
+    // Viewers without a player see P1 as blue and the rest in order
+    if (!me && player.playerIndex === 0) return "blue";
+    // Skip over our own (or P1's) index so a 2-player opponent is always red
+    const myIndex = me ? me.playerIndex : 0;
+    const rank = player.playerIndex > myIndex ? player.playerIndex - 1 : player.playerIndex;
+    return OPPONENT_THEMES[rank % OPPONENT_THEMES.length];
+  }
+
   create() {
     generateTextures(this);
 
@@ -38,12 +75,22 @@ export default class GameScene extends Phaser.Scene {
     this.tileGraphics = this.add.graphics();
     this.explosionGraphics = this.add.graphics();
     this.weaponGraphics = this.add.graphics().setDepth(8);
+    this.fuseGraphics = this.add.graphics().setDepth(4);
+    this.teamGraphics = this.add.graphics().setDepth(4);
+    this.hillGraphics = this.add.graphics().setDepth(2);
+    this.flagGraphics = this.add.graphics().setDepth(6);
 
     // Sprite tracking
     this.playerSprites = {};
     this.npcSprites = {};
     this.bombSprites = {};
     this.shieldIndicators = {};
+    this.playerMotions = {};
+    this.npcMotions = {};
+    this.bombMotions = {};
+    this.serverClock = new ServerClock();
+    this.remoteTime = 0;
+    this.lastTick = 0;
 
     // Input
     this.cursors = this.input.keyboard.createCursorKeys();
@@ -54,10 +101,41 @@ export default class GameScene extends Phaser.Scene {
       right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D),
     };
     this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-    this.rKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
 
-    this.moveDelay = 120;
-    this.lastMoveTime = 0;
+    // One seat per player at this machine, each on its own keys; hot-seat
+    // rooms (see LocalRoom) have several
+    const seatIds = this.room.seats || [this.room.sessionId];
+    this.hotSeat = seatIds.length > 1;
+    this.localSeats = seatIds.map((id, i) => {
+      const binding = seatBindings(i, seatIds.length);
+      return { id, index: i, binding, keys: addBindingKeys(this.input.keyboard, binding), lastMoveTime: 0, inputSeq: 0, sounds: null };
+    });
+    // A HUD line per seat once there are more than two
+    this.hudHeight = 40 + Math.max(0, seatIds.length - 2) * 14;
+
+    // Gamepads: the button mapping, the buttons each pad held last frame, and
+    // the remap in progress (null when not remapping)
+    this.padButtons = loadPadButtons();
+    this.padsHeld = new Map();
+    this.padPresses = new Map();
+    this.padRemap = null;
+    this.padNotice = null;
+
+    if (this.isReplay) this.createReplayControls();
+
+    // Touch devices get on-screen controls for the room's own seat, in a panel under the HUD
+    this.touchControls = null;
+    this.touchPanelHeight = 0;
+    if (!this.isReplay && isTouchDevice()) this.createTouchControls();
+
+    // Spectators follow one entity at a time (null = whole-map overview)
+    this.followId = null;
+    this.followedSprite = null;
+    this.hudCamera = null;
+
+    // Client-side prediction: moves sent but not yet acknowledged by the server
+    this.pendingMoves = [];
+    this.predicted = null;
 
     // Explosion and weapon visuals
     this.explosions = [];
@@ -78,8 +156,34 @@ export default class GameScene extends Phaser.Scene {
     this.debugText = this.add.text(4, 0, "", { fontSize: "12px", fill: "#ffffff" });
     this.powerupText = this.add.text(4, 0, "", { fontSize: "12px", fill: "#ffcc00" });
 
+    // Gamepad remap prompt (top-left)
+    this.padText = this.add.text(4, 4, "", {
+      fontSize: "12px",
+      fill: "#ffcc00",
+      backgroundColor: "#000000aa",
+      padding: { x: 4, y: 2 },
+    }).setDepth(20);
+
+    // Map seed (bottom-right) so good maps can be shared
+    this.seedText = this.add.text(0, 0, "", { fontSize: "11px", fill: "#888888" }).setDepth(10);
+
     // Scoreboard text (top-right)
     this.scoreboardText = this.add.text(0, 4, "", { fontSize: "11px", fill: "#ffffff", align: "right" }).setDepth(10);
+    // Team games list each team in its own color instead
+    this.teamScoreTexts = [1, 2].map((team) =>
+      this.add.text(0, 4, "", { fontSize: "11px", fill: TEAM_TEXT_COLORS[team], align: "right" }).setOrigin(1, 0).setDepth(10));
+
+    // Round timer (top-centre), only in timed rounds
+    this.timerText = this.add.text(0, 4, "", { fontSize: "13px", fill: "#ffffff", fontStyle: "bold" }).setOrigin(0.5, 0).setDepth(10);
+
+    // Between-rounds results: per-entity stats and the series score
+    this.resultsText = this.add.text(0, 0, "", {
+      fontSize: "11px",
+      fontFamily: "monospace",
+      fill: "#ffffff",
+      backgroundColor: "#000000aa",
+      padding: { x: 8, y: 6 },
+    }).setOrigin(0.5, 0).setDepth(10);
 
     // Restart vote text
     this.voteText = this.add.text(0, 0, "", { fontSize: "12px", fill: "#ffcc00", align: "center" }).setOrigin(0.5).setDepth(10);
@@ -99,12 +203,23 @@ export default class GameScene extends Phaser.Scene {
       this.soundToggle.setColor(nowEnabled ? "#44ff44" : "#ff4444");
     });
 
+    // Key settings: the button opens the rebinding menu (so does Esc)
+    this.keysButton = this.add.text(0, 4, "KEYS", {
+      fontSize: "11px",
+      fill: "#cccccc",
+      fontStyle: "bold",
+      backgroundColor: "#222222",
+      padding: { x: 4, y: 2 },
+    }).setDepth(20).setInteractive({ useHandCursor: true }).setVisible(!this.isReplay);
+    this.keysButton.on("pointerdown", () => (this.keyMenu ? this.closeKeyMenu() : this.openKeyMenu()));
+    this.keyMenu = null;
+    if (!this.isReplay) this.input.keyboard.on("keydown", (event) => this.handleKeyMenuKey(event));
+
     this.textPositioned = false;
+    // Short message over the map (stage clears, sudden death)
+    this.stageBanner = null;
 
-    // State change tracking for sounds
-    this._prevAlive = true;
-    this._prevShield = false;
-    this._prevPowerup = 0;
+    // State change tracking for sounds (the rest is kept per seat)
     this._endSoundPlayed = false;
 
     // Listen for explosion broadcasts
@@ -152,15 +267,44 @@ export default class GameScene extends Phaser.Scene {
       this.soundMgr.playExplosion();
     });
 
+    this.room.onMessage("wallDrop", () => {
+      this.soundMgr.playBombPlace();
+    });
+
+    this.room.onMessage("suddenDeath", () => {
+      this.stageBanner = { text: "SUDDEN DEATH!", until: this.time.now + 2000 };
+      this.soundMgr.playShieldAbsorb();
+    });
+
+    this.room.onMessage("flagTaken", () => {
+      this.soundMgr.playPowerupPickup();
+    });
+
+    this.room.onMessage("flagCaptured", () => {
+      this.soundMgr.playWin();
+    });
+
+    this.room.onMessage("hillMoved", () => {
+      this.soundMgr.playBombPlace();
+    });
+
+    // Campaign: flash the cleared stage over the next one for a moment
+    this.room.onMessage("stageClear", (message) => {
+      this.stageBanner = { text: `Stage ${message.stage} clear!  Score: ${message.score}`, until: this.time.now + 2000 };
+      this.soundMgr.playWin();
+    });
+
     this.room.onError((code, message) => {
       console.error("Room error:", code, message);
       this.statusText.setText(`Error: ${message}`);
     });
 
+    // main.js retries dropped game connections and restarts the scene on success
+    this.connectionMessage = "";
     this.room.onLeave((code) => {
       console.log("Left room:", code);
       if (code > 1000) {
-        this.statusText.setText("Disconnected from server");
+        this.connectionMessage = this.isReplay ? "Disconnected from server" : "Connection lost, reconnecting...";
       }
     });
 
@@ -177,7 +321,7 @@ export default class GameScene extends Phaser.Scene {
     // Resize canvas once we know the real dimensions
     if (!this._resized && cols > 0 && rows > 0) {
       const w = cols * TILE;
-      const h = rows * TILE + 40;
+      const h = rows * TILE + this.hudHeight + this.touchPanelHeight;
       if (this.scale.width !== w || this.scale.height !== h) {
         this.scale.resize(w, h);
       }
@@ -188,142 +332,660 @@ export default class GameScene extends Phaser.Scene {
     if (!this.textPositioned && cols > 0 && rows > 0) {
       this.statusText.setPosition((cols * TILE) / 2, (rows * TILE) / 2);
       this.voteText.setPosition((cols * TILE) / 2, (rows * TILE) / 2 + 24);
+      this.resultsText.setPosition((cols * TILE) / 2, (rows * TILE) / 2 + 44);
       this.debugText.setPosition(4, rows * TILE + 4);
       this.powerupText.setPosition(4, rows * TILE + 20);
+      this.timerText.setX((cols * TILE) / 2);
       this.scoreboardText.setPosition(cols * TILE - 4, 4);
       this.scoreboardText.setOrigin(1, 0);
+      for (const text of this.teamScoreTexts) text.setX(cols * TILE - 4);
       this.soundToggle.setPosition(cols * TILE - 4, rows * TILE + 4);
       this.soundToggle.setOrigin(1, 0);
+      this.keysButton.setPosition(this.soundToggle.x - this.soundToggle.width - 6, rows * TILE + 4);
+      this.keysButton.setOrigin(1, 0);
+      this.seedText.setPosition(cols * TILE - 4, rows * TILE + 24);
+      this.seedText.setOrigin(1, 0);
+      if (this.touchControls) this.layoutTouchControls(cols * TILE, rows * TILE + this.hudHeight);
       this.textPositioned = true;
     }
 
     this.updateStatusText(state);
+    this.updateResults(state);
     this.updateSoundTriggers(state);
 
-    if (state.status === "playing") {
-      this.handleInput(time);
+    // No input while the connection is down
+    const spectating = this.isSpectator(state);
+    this.pollPads();
+    this.handlePadRemap();
+    this.updatePadText();
+    if (this.touchControls) {
+      for (const obj of this.touchControls.objects) obj.setVisible(!spectating);
     }
+    if (!this.isReplay) this.keysButton.setVisible(!spectating);
+    if (spectating && this.keyMenu) this.closeKeyMenu();
+    // The key menu has the keyboard while it's open
+    if (!this.connectionMessage && !this.keyMenu) {
+      if (this.isReplay) {
+        this.handleReplayInput();
+      } else if (spectating) {
+        this.handleSpectatorInput(state);
+      } else if (state.status === "playing") {
+        this.handleInput(time);
+      }
+    }
+    if (this.touchControls) this.touchControls.pressed.clear();
+    this.predictLocalPlayer(state);
+    this.updateRemoteTime(state, time);
 
     this.explosions = this.explosions.filter(
       (e) => this.time.now - e.createdAt < EXPLOSION_DURATION
     );
 
     this.drawTiles(state, cols, rows);
-    this.drawBombs(state);
+    this.drawBombs(state, time);
     this.drawExplosions();
     this.drawWeaponEffects();
     this.drawPlayers(state, time);
+    this.drawObjectives(state);
+    if (spectating) this.updateSpectatorCamera(state);
     this.updateDebug(state);
     this.updateScoreboard(state);
+    this.updateTimer(state);
+    const seedLabel = state.status !== "lobby" ? `Seed: ${state.seed}` : "";
+    const watching = state.spectators > 0 ? `${state.spectators} watching` : "";
+    this.seedText.setText([seedLabel, watching].filter(Boolean).join("  ·  "));
   }
 
   // --- SOUND TRIGGERS ---
   updateSoundTriggers(state) {
-    const myPlayer = state.players ? state.players.get(this.room.sessionId) : null;
-    if (!myPlayer) return;
+    if (!state.players) return;
+    for (const seat of this.localSeats) {
+      const myPlayer = state.players.get(seat.id);
+      if (!myPlayer) continue;
+      const prev = seat.sounds || { alive: true, shield: false, powerup: 0, statLevel: undefined };
+
+      // Death sound
+      if (prev.alive === true && !myPlayer.alive) {
+        this.soundMgr.playDeath();
+      }
 
-    // Death sound
-    if (this._prevAlive === true && !myPlayer.alive) {
-      this.soundMgr.playDeath();
-    }
+      // Powerup pickup sound
+      if (prev.powerup === 0 && myPlayer.powerupType > 0) {
+        this.soundMgr.playPowerupPickup();
+      }
+      // Shield pickup sound
+      if (!prev.shield && myPlayer.hasShield) {
+        this.soundMgr.playPowerupPickup();
+      }
+      // Stat and ability pickup sound (these only drop on a new life)
+      const statLevel = myPlayer.maxBombs + myPlayer.power + this.speedLevel(myPlayer)
+        + Number(myPlayer.canKick) + Number(myPlayer.canThrow);
+      if (prev.statLevel !== undefined && statLevel > prev.statLevel) {
+        this.soundMgr.playPowerupPickup();
+      }
 
-    // Powerup pickup sound
-    if (this._prevPowerup === 0 && myPlayer.powerupType > 0) {
-      this.soundMgr.playPowerupPickup();
+      seat.sounds = { alive: myPlayer.alive, shield: myPlayer.hasShield, powerup: myPlayer.powerupType, statLevel };
     }
-    // Shield pickup sound
-    if (!this._prevShield && myPlayer.hasShield) {
-      this.soundMgr.playPowerupPickup();
-    }
-
-    this._prevAlive = myPlayer.alive;
-    this._prevShield = myPlayer.hasShield;
-    this._prevPowerup = myPlayer.powerupType;
   }
 
   // --- STATUS ---
   updateStatusText(state) {
+    if (this.connectionMessage) {
+      this.statusText.setText(this.connectionMessage);
+      return;
+    }
+
     if (state.status === "lobby") {
-      this.statusText.setText("Waiting for opponent...");
+      const joined = state.players ? state.players.size : 0;
+      this.statusText.setText(state.maxPlayers === 1 ? "Starting..."
+        : state.maxPlayers > 2 ? `Waiting for players (${joined}/${state.maxPlayers})...`
+        : "Waiting for opponent...");
       this._endSoundPlayed = false;
       return;
     }
 
     if (state.status === "ended") {
       const result = state.result;
-      let iWon = false;
+      // Hot-seat players share the screen, so the result names seats instead of "You"
+      const me = state.players && !this.hotSeat ? state.players.get(this.room.sessionId) : null;
+      const winningTeam = result.startsWith("team") ? parseInt(result.slice(4), 10) : 0;
+      const localTeamWon = winningTeam > 0 && this.localSeats.some((seat) => {
+        const player = state.players && state.players.get(seat.id);
+        return !!player && player.team === winningTeam;
+      });
+      const iWon = this.isLocalSeat(state.winnerId) || localTeamWon || result === "victory";
 
-      if (result === "draw") {
+      if (result === "victory") {
+        this.statusText.setText(`Campaign Complete!\nScore: ${state.score}`);
+      } else if (result === "defeat") {
+        this.statusText.setText(`Game Over\nStage ${state.stage}  Score: ${state.score}`);
+      } else if (result === "draw") {
         this.statusText.setText("Draw!");
       } else if (result === "disconnect") {
         this.statusText.setText("Opponent disconnected");
       } else if (result === "npc") {
-        this.statusText.setText("Bot Wins!");
-      } else if (state.players) {
-        const myPlayer = state.players.get(this.room.sessionId);
-        if (myPlayer) {
-          const myIndex = myPlayer.playerIndex;
-          iWon =
-            (result === "p1" && myIndex === 0) ||
-            (result === "p2" && myIndex === 1);
-          this.statusText.setText(iWon ? "You Win!" : "You Lose!");
-        }
+        const bot = state.npcs ? state.npcs.get(state.winnerId) : null;
+        const label = bot ? `Bot${bot.npcIndex + 1}` : "Bot";
+        this.statusText.setText(me ? `You Lose!\n${label} wins` : `${label} Wins!`);
+      } else if (winningTeam) {
+        this.statusText.setText(me && iWon ? "Your Team Wins!"
+          : me ? "Your Team Loses!" : `${TEAM_NAMES[winningTeam]} Team Wins!`);
+      } else if (iWon && me) {
+        this.statusText.setText("You Win!");
+      } else {
+        const winner = state.players ? state.players.get(state.winnerId) : null;
+        const watcher = this.isReplay || this.isSpectator(state) || this.hotSeat;
+        this.statusText.setText(winner && (state.maxPlayers > 2 || watcher)
+          ? `P${winner.playerIndex + 1} Wins!`
+          : "You Lose!");
       }
 
-      // Play win/lose sound once
-      if (!this._endSoundPlayed) {
+      // Play win/lose sound once (players only)
+      if (!this._endSoundPlayed && !this.isReplay && !this.isSpectator(state)) {
         this._endSoundPlayed = true;
-        if (result === "draw" || result === "disconnect") {
-          this.soundMgr.playLose();
-        } else {
-          const myPlayer = state.players ? state.players.get(this.room.sessionId) : null;
-          if (myPlayer) {
-            const myIndex = myPlayer.playerIndex;
-            const didWin =
-              (result === "p1" && myIndex === 0) ||
-              (result === "p2" && myIndex === 1);
-            if (didWin) this.soundMgr.playWin();
-            else this.soundMgr.playLose();
-          }
-        }
+        if (iWon) this.soundMgr.playWin();
+        else this.soundMgr.playLose();
       }
       return;
     }
 
-    this.statusText.setText("");
+    const banner = this.stageBanner && this.time.now < this.stageBanner.until ? this.stageBanner.text : "";
+    this.statusText.setText(banner);
     this._endSoundPlayed = false;
   }
 
   // --- INPUT ---
   handleInput(time) {
-    if (time - this.lastMoveTime >= this.moveDelay) {
+    for (const seat of this.localSeats) this.handleSeatInput(seat, time);
+  }
+
+  // One seat's keys, gamepads and (for the room's own seat) touch buttons.
+  // Only the room's own seat is predicted: extra seats only exist in rooms
+  // running in the browser, where nothing waits on a server.
+  handleSeatInput(seat, time) {
+    const primary = seat.id === this.room.sessionId;
+    const send = (type, message) => (primary ? this.room.send(type, message) : this.room.sendAs(seat.id, type, message));
+    const pads = this.seatPads(seat);
+    const touch = primary ? this.touchControls : null;
+    const padPressed = (action) => pads.some((pad) => this.padPresses.get(pad).has(this.padButtons[action]));
+    const isDown = (action) => seat.keys[action].some((key) => key.isDown) || (!!touch && touch.held.has(action));
+    const justDown = (action) => {
+      // Check every key so each one's JustDown is consumed this frame
+      const keyDown = seat.keys[action].filter((key) => Phaser.Input.Keyboard.JustDown(key)).length > 0;
+      return keyDown || padPressed(action) || (!!touch && touch.pressed.has(action));
+    };
+
+    const me = this.room.state.players.get(seat.id);
+    // Speed-ups shorten our move delay; the server keeps the same per-player cadence
+    const moveDelay = me ? me.moveDelay : MOVE_DELAY;
+    if (time - seat.lastMoveTime >= moveDelay) {
       let dir = null;
-      if (this.cursors.left.isDown || this.wasd.left.isDown) dir = "left";
-      else if (this.cursors.right.isDown || this.wasd.right.isDown) dir = "right";
-      else if (this.cursors.up.isDown || this.wasd.up.isDown) dir = "up";
-      else if (this.cursors.down.isDown || this.wasd.down.isDown) dir = "down";
+      if (isDown("left")) dir = "left";
+      else if (isDown("right")) dir = "right";
+      else if (isDown("up")) dir = "up";
+      else if (isDown("down")) dir = "down";
+      else dir = pads.map(padDirection).find(Boolean) || null;
 
       if (dir) {
-        this.room.send("move", { dir });
-        this.lastMoveTime = time;
+        // After a reconnect the server has already acknowledged our old session's moves
+        const seq = seat.inputSeq = Math.max(seat.inputSeq, me ? me.inputSeq : 0) + 1;
+        send("move", { dir, seq });
+        if (primary) this.pendingMoves.push({ seq, dir });
+        // Keep the cadence while the key is held, as the server does
+        seat.lastMoveTime = time - seat.lastMoveTime < moveDelay * 2 ? seat.lastMoveTime + moveDelay : time;
       }
     }
 
-    if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
-      const myPlayer = this.room.state.players.get(this.room.sessionId);
-      if (myPlayer && myPlayer.powerupType > 0 && myPlayer.powerupUses > 0) {
-        this.room.send("fire", {});
+    if (justDown("bomb")) {
+      send("bomb", {});
+      this.soundMgr.playBombPlace();
+    }
+
+    if (justDown("fire")) {
+      send("fire", {});
+    }
+
+    if (justDown("detonate")) {
+      send("detonate", {});
+    }
+
+    if (justDown("restart")) {
+      send("restart", {});
+    }
+  }
+
+  // --- KEY SETTINGS ---
+  // Rebinding menu over the map: a column per keyboard seat, click an action
+  // and press its new key. Esc cancels a pick or closes the menu.
+  openKeyMenu() {
+    if (this.isSpectator(this.room.state)) return;
+    const { cols, rows } = this.getDimensions();
+    const width = cols * TILE;
+    const depth = 30;
+    const objects = [];
+    // Swallows clicks so they don't reach the map
+    objects.push(this.add.rectangle(0, 0, width, rows * TILE, 0x000000, 0.85).setOrigin(0, 0).setDepth(depth).setInteractive());
+    objects.push(this.add.text(width / 2, 8, "Controls", { fontSize: "16px", fill: "#ffffff", fontStyle: "bold" }).setOrigin(0.5, 0).setDepth(depth));
+    objects.push(this.add.text(width / 2, 30, "Click an action, then press its key. Esc closes.", { fontSize: "11px", fill: "#aaaaaa" }).setOrigin(0.5, 0).setDepth(depth));
+
+    const seats = this.localSeats.filter((seat) => this.localSeats.length === 1 || seat.index < MAX_KEYBOARD_SEATS);
+    const columnWidth = width / seats.length;
+    const rowsByAction = [];
+    seats.forEach((seat, column) => {
+      const x = column * columnWidth + 12;
+      if (this.hotSeat) {
+        objects.push(this.add.text(x, 52, `P${seat.index + 1}`, { fontSize: "13px", fill: "#ffcc00", fontStyle: "bold" }).setDepth(depth));
+      }
+      ACTIONS.forEach((action, i) => {
+        const text = this.add.text(x, 72 + i * 18, "", { fontSize: "12px", fill: "#ffffff" })
+          .setDepth(depth).setInteractive({ useHandCursor: true });
+        text.on("pointerdown", () => {
+          this.keyMenu.listening = { seat, action };
+          this.keyMenu.message = "";
+          this.refreshKeyMenu();
+        });
+        objects.push(text);
+        rowsByAction.push({ seat, action, text });
+      });
+    });
+
+    const buttonY = 72 + ACTIONS.length * 18 + 10;
+    const makeButton = (x, label, onClick) => {
+      const button = this.add.text(x, buttonY, label, {
+        fontSize: "12px", fill: "#cccccc", backgroundColor: "#333333", padding: { x: 6, y: 4 },
+      }).setDepth(depth).setInteractive({ useHandCursor: true }).on("pointerdown", onClick);
+      objects.push(button);
+      return button;
+    };
+    const reset = makeButton(12, "Reset defaults", () => this.resetKeys());
+    makeButton(reset.x + reset.width + 8, "Done", () => this.closeKeyMenu());
+    // Why the last pick was refused
+    const messageText = this.add.text(12, buttonY + 30, "", { fontSize: "11px", fill: "#ff6666" }).setDepth(depth);
+    objects.push(messageText);
+
+    this.keyMenu = { objects, rows: rowsByAction, listening: null, messageText, message: "" };
+    this.refreshKeyMenu();
+  }
+
+  refreshKeyMenu() {
+    const { listening } = this.keyMenu;
+    for (const { seat, action, text } of this.keyMenu.rows) {
+      const picking = listening && listening.seat === seat && listening.action === action;
+      const keys = seat.binding[action].map(keyLabel).join(" / ") || "-";
+      text.setText(`${ACTION_LABELS[action]}: ${picking ? "press a key..." : keys}`);
+      text.setColor(picking ? "#ffcc00" : "#ffffff");
+    }
+    this.keyMenu.messageText.setText(this.keyMenu.message);
+  }
+
+  closeKeyMenu() {
+    for (const obj of this.keyMenu.objects) obj.destroy();
+    this.keyMenu = null;
+    // Keys pressed while rebinding shouldn't act once play resumes
+    this.input.keyboard.resetKeys();
+  }
+
+  handleKeyMenuKey(event) {
+    const { ESC } = Phaser.Input.Keyboard.KeyCodes;
+    if (!this.keyMenu) {
+      if (event.keyCode === ESC) this.openKeyMenu();
+      return;
+    }
+    const { listening } = this.keyMenu;
+    if (event.keyCode === ESC) {
+      if (listening) {
+        this.keyMenu.listening = null;
+        this.refreshKeyMenu();
       } else {
-        this.room.send("bomb", {});
-        this.soundMgr.playBombPlace();
+        this.closeKeyMenu();
+      }
+      return;
+    }
+    const name = keyNameForCode(event.keyCode);
+    if (!listening || !name) return;
+    this.keyMenu.message = this.rebindKey(listening.seat, listening.action, name) || "";
+    this.keyMenu.listening = null;
+    this.refreshKeyMenu();
+  }
+
+  // Give `action` the key `name` alone. A key drives one action at a time: an
+  // action (on any seat) that had it keeps its other keys, or if it had no
+  // others swaps to the key this action gives up. With nothing to swap, the
+  // pick is refused so no action is left unbound. Returns why it was refused.
+  rebindKey(seat, action, name) {
+    const givenUp = seat.binding[action].filter((key) => key !== name);
+    let displaced = null;
+    for (const other of this.localSeats) {
+      for (const otherAction of ACTIONS) {
+        if ((other === seat && otherAction === action) || !other.binding[otherAction].includes(name)) continue;
+        displaced = { other, otherAction, rest: other.binding[otherAction].filter((key) => key !== name) };
+      }
+    }
+    if (displaced && displaced.rest.length === 0 && givenUp.length === 0) {
+      const owner = this.hotSeat ? `P${displaced.other.index + 1} ` : "";
+      return `Can't move ${keyLabel(name)}: it's ${owner}${ACTION_LABELS[displaced.otherAction]}'s only key`;
+    }
+
+    if (displaced) {
+      const { other, otherAction, rest } = displaced;
+      other.binding = { ...other.binding, [otherAction]: rest.length > 0 ? rest : [givenUp[0]] };
+    }
+    seat.binding = { ...seat.binding, [action]: [name] };
+
+    for (const changed of this.localSeats) {
+      if (this.localSeats.length > 1 && changed.index >= MAX_KEYBOARD_SEATS) continue;
+      changed.keys = addBindingKeys(this.input.keyboard, changed.binding);
+      saveSeatBinding(changed.index, this.localSeats.length, changed.binding);
+    }
+    return null;
+  }
+
+  resetKeys() {
+    resetKeyBindings();
+    for (const seat of this.localSeats) {
+      seat.binding = seatBindings(seat.index, this.localSeats.length);
+      seat.keys = addBindingKeys(this.input.keyboard, seat.binding);
+    }
+    this.keyMenu.listening = null;
+    this.keyMenu.message = "";
+    this.refreshKeyMenu();
+  }
+
+  // --- GAMEPADS ---
+  // Connected pads in the order they were plugged in
+  connectedPads() {
+    return this.input.gamepad ? this.input.gamepad.getAll().filter((pad) => pad.connected) : [];
+  }
+
+  // A lone player can pick up any pad; in hot-seat, pad N belongs to seat N
+  seatPads(seat) {
+    const pads = this.connectedPads();
+    if (!this.hotSeat) return pads;
+    return pads[seat.index] ? [pads[seat.index]] : [];
+  }
+
+  // Phaser only reports the buttons held now: work out which were pressed this frame
+  pollPads() {
+    this.padPresses = new Map();
+    for (const pad of this.connectedPads()) {
+      const held = new Set(pad.buttons.filter((button) => button.pressed).map((button) => button.index));
+      const before = this.padsHeld.get(pad) || new Set();
+      this.padPresses.set(pad, new Set([...held].filter((index) => !before.has(index))));
+      this.padsHeld.set(pad, held);
+    }
+  }
+
+  // Select starts a remap: the next button pressed on any pad takes each
+  // action in turn, and the mapping is saved once every action has one.
+  // Select again cancels.
+  handlePadRemap() {
+    for (const presses of this.padPresses.values()) {
+      for (const index of presses) {
+        if (index === PAD_REMAP_BUTTON) {
+          this.padRemap = this.padRemap ? null : { step: 0, buttons: { ...this.padButtons } };
+          this.padNotice = null;
+          continue;
+        }
+        if (!this.padRemap) continue;
+        this.padRemap.buttons[PAD_ACTIONS[this.padRemap.step]] = index;
+        this.padRemap.step++;
+        if (this.padRemap.step === PAD_ACTIONS.length) {
+          this.padButtons = this.padRemap.buttons;
+          savePadButtons(this.padButtons);
+          this.padRemap = null;
+          this.padNotice = { text: "Gamepad buttons saved", until: this.time.now + 2000 };
+        }
+      }
+    }
+    // Presses that went to the remap (or started it) don't also play
+    if (this.padRemap || [...this.padPresses.values()].some((presses) => presses.has(PAD_REMAP_BUTTON))) {
+      for (const presses of this.padPresses.values()) presses.clear();
+    }
+  }
+
+  updatePadText() {
+    if (this.padRemap) {
+      const action = PAD_ACTIONS[this.padRemap.step];
+      this.padText.setText(`Gamepad: press a button for ${ACTION_LABELS[action]}  (Select cancels)`);
+    } else if (this.padNotice && this.time.now < this.padNotice.until) {
+      this.padText.setText(this.padNotice.text);
+    } else {
+      this.padText.setText("");
+    }
+    this.padText.setVisible(this.padText.text !== "");
+  }
+
+  // --- TOUCH CONTROLS ---
+  // A D-pad on the left and bomb/fire/detonate buttons on the right. `held` is what
+  // a finger is on now, `pressed` what was touched since the last frame.
+  createTouchControls() {
+    // Room for a thumb on each side at once
+    this.input.addPointer(2);
+    this.touchPanelHeight = TOUCH_PANEL_HEIGHT;
+    const controls = { held: new Set(), pressed: new Set(), objects: [], buttons: [] };
+
+    const addButton = (action, label, shape, size) => {
+      const base = shape === "circle"
+        ? this.add.circle(0, 0, size / 2, 0x444444, 0.8)
+        : this.add.rectangle(0, 0, size, size, 0x444444, 0.8);
+      base.setStrokeStyle(2, 0x888888).setDepth(20).setInteractive();
+      const text = this.add.text(0, 0, label, { fontSize: "14px", fill: "#ffffff", fontStyle: "bold" }).setOrigin(0.5).setDepth(21);
+      const release = () => {
+        controls.held.delete(action);
+        base.setFillStyle(0x444444, 0.8);
+      };
+      base.on("pointerdown", () => {
+        controls.held.add(action);
+        controls.pressed.add(action);
+        base.setFillStyle(0x888888, 0.9);
+      });
+      base.on("pointerup", release);
+      base.on("pointerout", release);
+      controls.objects.push(base, text);
+      controls.buttons.push({ action, base, text });
+    };
+
+    addButton("up", "\u25B2", "rect", TOUCH_BUTTON);
+    addButton("down", "\u25BC", "rect", TOUCH_BUTTON);
+    addButton("left", "\u25C0", "rect", TOUCH_BUTTON);
+    addButton("right", "\u25B6", "rect", TOUCH_BUTTON);
+    addButton("bomb", "BOMB", "circle", 76);
+    addButton("fire", "FIRE", "circle", 52);
+    addButton("detonate", "DET", "circle", 52);
+    this.touchControls = controls;
+  }
+
+  // Place the touch controls in the panel that starts at `top`
+  layoutTouchControls(width, top) {
+    const midY = top + TOUCH_PANEL_HEIGHT / 2;
+    const padX = 16 + TOUCH_BUTTON / 2 + TOUCH_DPAD_STEP;
+    const positions = {
+      up: [padX, midY - TOUCH_DPAD_STEP],
+      down: [padX, midY + TOUCH_DPAD_STEP],
+      left: [padX - TOUCH_DPAD_STEP, midY],
+      right: [padX + TOUCH_DPAD_STEP, midY],
+      bomb: [width - 60, midY - 10],
+      fire: [width - 140, midY - 32],
+      detonate: [width - 140, midY + 32],
+    };
+    for (const { action, base, text } of this.touchControls.buttons) {
+      const [x, y] = positions[action];
+      base.setPosition(x, y);
+      text.setPosition(x, y);
+    }
+  }
+
+  // --- PREDICTION ---
+  // Our position is the server's plus every move it hasn't acknowledged yet,
+  // replayed with the server's passability rules. A rejected move simply drops
+  // out of the pending list once acknowledged, so mispredictions self-correct.
+  predictLocalPlayer(state) {
+    const me = state.players ? state.players.get(this.room.sessionId) : null;
+    if (!me || !me.alive || state.status !== "playing") {
+      this.pendingMoves = [];
+      this.predicted = null;
+      return;
+    }
+
+    this.pendingMoves = this.pendingMoves.filter((m) => m.seq > me.inputSeq);
+
+    const { cols, rows } = this.getDimensions();
+    const tileAt = (x, y) => state.map[y * cols + x];
+    let { x, y, facing } = me;
+    for (const move of this.pendingMoves) {
+      const { dx, dy } = DIR_MAP[move.dir];
+      facing = move.dir;
+      if (canMoveTo(tileAt, state.bombs, x + dx, y + dy, cols, rows)) {
+        x += dx;
+        y += dy;
       }
     }
+    this.predicted = { x, y, facing };
+  }
+
+  // Whether `id` is a seat played at this machine
+  isLocalSeat(id) {
+    return this.localSeats.some((seat) => seat.id === id);
+  }
+
+  // --- SPECTATOR ---
+  // Watching a live room without a seat (chosen, or the room was full)
+  isSpectator(state) {
+    return !this.isReplay && !!state.players && !state.players.has(this.room.sessionId);
+  }
+
+  // Entities the camera can follow, players first, in seat order
+  getSpectatorTargets(state) {
+    const players = [...state.players.entries()]
+      .sort(([, a], [, b]) => a.playerIndex - b.playerIndex)
+      .map(([id, player]) => ({ id, entity: player, label: `P${player.playerIndex + 1}` }));
+    const npcs = [...state.npcs.entries()]
+      .filter(([, npc]) => !isMonster(npc))
+      .sort(([, a], [, b]) => a.npcIndex - b.npcIndex)
+      .map(([id, npc]) => ({ id, entity: npc, label: `Bot${npc.npcIndex + 1}` }));
+    return [...players, ...npcs];
+  }
+
+  handleSpectatorInput(state) {
+    const JustDown = Phaser.Input.Keyboard.JustDown;
+    const prev = JustDown(this.cursors.left) || JustDown(this.wasd.left);
+    const next = JustDown(this.cursors.right) || JustDown(this.wasd.right);
+    if (!prev && !next) return;
+
+    const ids = [null, ...this.getSpectatorTargets(state).map((t) => t.id)];
+    const idx = Math.max(ids.indexOf(this.followId), 0);
+    this.followId = ids[(idx + (next ? 1 : -1) + ids.length) % ids.length];
+  }
+
+  // Zoom the main camera in on the followed entity; a second, unzoomed camera
+  // keeps drawing the HUD where it always is
+  updateSpectatorCamera(state) {
+    if (!this.hudCamera) this.createHudCamera();
+
+    const cam = this.cameras.main;
+    const sprite = this.followId ? (this.playerSprites[this.followId] || this.npcSprites[this.followId]) : null;
+    if (sprite === this.followedSprite) return;
+    this.followedSprite = sprite;
+
+    const { cols, rows } = this.getDimensions();
+    if (sprite) {
+      cam.setViewport(0, 0, cols * TILE, rows * TILE);
+      cam.setBounds(0, 0, cols * TILE, rows * TILE);
+      cam.setZoom(SPECTATOR_ZOOM);
+      cam.startFollow(sprite, true, 0.2, 0.2, -TILE / 2, -TILE / 2);
+    } else {
+      // Overview (or the followed entity left the room)
+      this.followId = null;
+      cam.stopFollow();
+      cam.removeBounds();
+      cam.setZoom(1);
+      cam.setViewport(0, 0, this.scale.width, this.scale.height);
+      cam.setScroll(0, 0);
+    }
+  }
+
+  createHudCamera() {
+    const hud = [this.statusText, this.voteText, this.debugText, this.powerupText, this.seedText, this.scoreboardText, this.timerText, this.resultsText, ...this.teamScoreTexts, this.soundToggle, this.keysButton, this.padText];
+    this.cameras.main.ignore(hud);
+    this.hudCamera = this.cameras.add(0, 0, this.scale.width, this.scale.height);
+    this.hudCamera.ignore(this.children.list.filter((obj) => !hud.includes(obj)));
+    // Everything created from here on (sprites, effects) belongs to the world
+    this.events.on(Phaser.Scenes.Events.ADDED_TO_SCENE, (obj) => this.hudCamera.ignore(obj));
+  }
+
+  updateSpectatorHud(state) {
+    const target = this.getSpectatorTargets(state).find((t) => t.id === this.followId);
+    this.debugText.setText(`SPECTATING ${target ? target.label : "(overview)"}  Left/Right: switch  Status: ${state.status}`);
+
+    const e = target && target.entity;
+    this.powerupText.setText(e
+      ? `${this.formatStats(e)}  Kills: ${e.kills}${e.alive ? "" : "  (dead)"}`
+      : `${state.players.size} players, ${state.npcs.size} bots`);
+  }
+
+  // --- REPLAY CONTROLS ---
+  createReplayControls() {
+    this.replayStatus = null;
+    this.replayBar = this.add.graphics().setDepth(10);
+
+    this.room.onMessage("replayStatus", (message) => {
+      this.replayStatus = message;
+    });
+
+    // Click the progress bar to scrub
+    this.input.on("pointerdown", (pointer) => {
+      const bar = this.getReplayBarRect();
+      if (!bar || !this.replayStatus) return;
+      if (pointer.x < bar.x || pointer.x > bar.x + bar.w) return;
+      if (pointer.y < bar.y - 4 || pointer.y > bar.y + bar.h + 4) return;
+      const fraction = (pointer.x - bar.x) / bar.w;
+      this.room.send("replayControl", { action: "seek", tick: Math.round(fraction * this.replayStatus.totalTicks) });
+    });
+  }
+
+  getReplayBarRect() {
+    const { cols, rows } = this.getDimensions();
+    return { x: 4, y: rows * TILE + 24, w: cols * TILE - 120, h: 8 };
+  }
+
+  handleReplayInput() {
+    const status = this.replayStatus;
+    if (!status) return;
+
+    if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
+      this.room.send("replayControl", { action: "toggle" });
+    }
 
-    if (Phaser.Input.Keyboard.JustDown(this.rKey)) {
-      this.room.send("restart", {});
+    const seekTicks = Math.round(REPLAY_SEEK_MS / status.tickMs);
+    if (Phaser.Input.Keyboard.JustDown(this.cursors.left)) {
+      this.room.send("replayControl", { action: "seek", tick: status.tick - seekTicks });
+    }
+    if (Phaser.Input.Keyboard.JustDown(this.cursors.right)) {
+      this.room.send("replayControl", { action: "seek", tick: status.tick + seekTicks });
+    }
+
+    const speedIdx = REPLAY_SPEEDS.indexOf(status.speed);
+    if (Phaser.Input.Keyboard.JustDown(this.cursors.up) && speedIdx < REPLAY_SPEEDS.length - 1) {
+      this.room.send("replayControl", { action: "speed", speed: REPLAY_SPEEDS[speedIdx + 1] });
+    }
+    if (Phaser.Input.Keyboard.JustDown(this.cursors.down) && speedIdx > 0) {
+      this.room.send("replayControl", { action: "speed", speed: REPLAY_SPEEDS[speedIdx - 1] });
     }
   }
 
+  drawReplayBar() {
+    this.replayBar.clear();
+    const status = this.replayStatus;
+    if (!status) return;
+
+    const bar = this.getReplayBarRect();
+    const progress = status.totalTicks > 0 ? Math.min(status.tick / status.totalTicks, 1) : 0;
+    this.replayBar.fillStyle(0x555555, 1);
+    this.replayBar.fillRect(bar.x, bar.y, bar.w, bar.h);
+    this.replayBar.fillStyle(0xff8844, 1);
+    this.replayBar.fillRect(bar.x, bar.y, bar.w * progress, bar.h);
+  }
+
   // --- DRAWING ---
   drawTiles(state, cols, rows) {
     this.tileGraphics.clear();
@@ -337,11 +999,22 @@ export default class GameScene extends Phaser.Scene {
         this.tileGraphics.fillStyle(color, 1);
         this.tileGraphics.fillRect(x * TILE, y * TILE, TILE - 1, TILE - 1);
 
-        if (tile === POWERUP_FLAMETHROWER || tile === POWERUP_RAYGUN || tile === POWERUP_SHIELD) {
+        if (tile === EXIT) this.drawExit(x, y, state.exitOpen);
+
+        if (isPowerupTile(tile)) {
           let texKey = null;
           if (tile === POWERUP_FLAMETHROWER) texKey = "powerup_flame";
           else if (tile === POWERUP_RAYGUN) texKey = "powerup_ray";
           else if (tile === POWERUP_SHIELD) texKey = "powerup_shield";
+          else if (tile === POWERUP_BOMB_UP) texKey = "powerup_bomb";
+          else if (tile === POWERUP_FIRE_UP) texKey = "powerup_fire";
+          else if (tile === POWERUP_SPEED_UP) texKey = "powerup_speed";
+          else if (tile === POWERUP_KICK) texKey = "powerup_kick";
+          else if (tile === POWERUP_GLOVE) texKey = "powerup_glove";
+          else if (tile === POWERUP_REMOTE) texKey = "powerup_remote";
+          else if (tile === POWERUP_PIERCE) texKey = "powerup_pierce";
+          else if (tile === POWERUP_MINE) texKey = "powerup_mine";
+          else if (tile === POWERUP_CLUSTER) texKey = "powerup_cluster";
 
           const key = `pu_${x}_${y}`;
           if (!this._puSprites) this._puSprites = {};
@@ -360,26 +1033,79 @@ export default class GameScene extends Phaser.Scene {
         const px = parseInt(parts[1]);
         const py = parseInt(parts[2]);
         const tile = map[py * cols + px];
-        if (tile < 3 || tile > 5) {
+        if (!isPowerupTile(tile)) {
           sprite.setVisible(false);
         }
       }
     }
   }
 
+  // A barred door until the stage's monsters are gone, then a glowing doorway
+  drawExit(x, y, open) {
+    const g = this.tileGraphics;
+    const left = x * TILE + 6;
+    const top = y * TILE + 4;
+    const w = TILE - 13;
+    const h = TILE - 9;
+    if (open) {
+      g.fillStyle(0x44ff88, 0.6 + 0.3 * Math.sin(this.time.now / 200));
+      g.fillRect(left, top, w, h);
+    } else {
+      g.fillStyle(0x112222, 1);
+      g.fillRect(left, top, w, h);
+      g.fillStyle(0x668877, 1);
+      for (let bx = left + 3; bx < left + w; bx += 5) g.fillRect(bx, top, 2, h);
+    }
+  }
+
+  // --- MOTION ---
+  // Remote entities are timed in server game time from the tick stamp on each
+  // patch, then drawn INTERP_DELAY behind it so uneven patch arrival is smoothed out
+  updateRemoteTime(state, time) {
+    // A new round or a replay seek moves the clock backwards: start over
+    if (state.tick < this.lastTick) {
+      this.playerMotions = {};
+      this.npcMotions = {};
+      this.bombMotions = {};
+    }
+    this.lastTick = state.tick;
+
+    const status = this.replayStatus;
+    const rate = this.isReplay && status ? (status.paused ? 0 : status.speed) : 1;
+    this.remoteTime = this.serverClock.update(state.tick * TICK_MS, time, rate) - INTERP_DELAY;
+  }
+
+  // Smoothed draw position for an entity currently on tile (x, y), gliding over its move delay.
+  // Our own predicted player runs on local time with no delay.
+  sampleMotion(motions, id, x, y, moveDelay, time) {
+    const local = id === this.room.sessionId && !!this.predicted;
+    const at = local ? time : this.lastTick * TICK_MS;
+    // Local and server times don't mix: start fresh when prediction starts or stops
+    if (!motions[id] || motions[id].local !== local) {
+      motions[id] = new TileMotion(x, y);
+      motions[id].local = local;
+    }
+    motions[id].push(x, y, at);
+    return motions[id].sample(local ? time : this.remoteTime, moveDelay);
+  }
+
   drawPlayers(state, time) {
+    // Invincibility ends on the simulation's clock, which replays and throttled
+    // offline rooms run at their own pace
+    const simNow = state.roundStart + this.remoteTime;
     const seenPlayerIds = new Set();
     const seenNpcIds = new Set();
-    const frame = Math.floor(time / 200) % 2;
+    this.teamGraphics.clear();
 
     if (state.players) {
       state.players.forEach((player, sessionId) => {
         seenPlayerIds.add(sessionId);
 
-        const isMe = sessionId === this.room.sessionId;
-        const theme = isMe ? "blue" : "red";
+        const theme = this.getPlayerTheme(player, sessionId);
 
         if (!player.alive) {
+          // Respawns start a fresh motion at the spawn tile
+          delete this.playerMotions[sessionId];
           if (this.playerSprites[sessionId]) {
             // Show ghost at spawn if respawning
             if (player.respawnAt > 0) {
@@ -398,8 +1124,12 @@ export default class GameScene extends Phaser.Scene {
           return;
         }
 
-        const facing = player.facing || "down";
-        const texKey = `player_${theme}_${facing}_${frame}`;
+        // Our own player glides toward where prediction puts it; everyone
+        // else plays back the server's tiles a step behind
+        const target = sessionId === this.room.sessionId && this.predicted ? this.predicted : player;
+        const pos = this.sampleMotion(this.playerMotions, sessionId, target.x, target.y, player.moveDelay, time);
+        const facing = target.facing || "down";
+        const texKey = `player_${theme}_${facing}_${pos.frame}`;
 
         if (!this.playerSprites[sessionId]) {
           this.playerSprites[sessionId] = this.add.image(0, 0, texKey).setOrigin(0, 0).setDepth(5);
@@ -407,11 +1137,12 @@ export default class GameScene extends Phaser.Scene {
 
         const sprite = this.playerSprites[sessionId];
         sprite.setTexture(texKey);
-        sprite.setPosition(player.x * TILE, player.y * TILE);
+        sprite.setPosition(pos.x * TILE, pos.y * TILE);
         sprite.setVisible(true);
+        this.drawTeamMarker(player, pos);
 
         // Invincibility blink
-        if (player.invincibleUntil > Date.now()) {
+        if (player.invincibleUntil > simNow) {
           sprite.setAlpha(Math.floor(time / 100) % 2 === 0 ? 1.0 : 0.3);
         } else {
           sprite.setAlpha(1.0);
@@ -424,7 +1155,7 @@ export default class GameScene extends Phaser.Scene {
           const sg = this.shieldIndicators[sessionId];
           sg.clear();
           sg.lineStyle(2, 0x44ff44, 0.7);
-          sg.strokeCircle(player.x * TILE + TILE / 2, player.y * TILE + TILE / 2, TILE / 2 + 2);
+          sg.strokeCircle(pos.x * TILE + TILE / 2, pos.y * TILE + TILE / 2, TILE / 2 + 2);
           sg.setVisible(true);
         } else if (this.shieldIndicators[sessionId]) {
           this.shieldIndicators[sessionId].setVisible(false);
@@ -437,8 +1168,10 @@ export default class GameScene extends Phaser.Scene {
         seenNpcIds.add(npcId);
 
         const theme = NPC_THEMES[npc.npcIndex % NPC_THEMES.length];
+        const monster = isMonster(npc);
 
         if (!npc.alive) {
+          delete this.npcMotions[npcId];
           if (this.npcSprites[npcId]) {
             if (npc.respawnAt > 0) {
               const texKey = `player_${theme}_down_0`;
@@ -456,8 +1189,9 @@ export default class GameScene extends Phaser.Scene {
           return;
         }
 
+        const pos = this.sampleMotion(this.npcMotions, npcId, npc.x, npc.y, npc.moveDelay, time);
         const facing = npc.facing || "down";
-        const texKey = `player_${theme}_${facing}_${frame}`;
+        const texKey = monster ? `monster_${npc.kind}_${pos.frame}` : `player_${theme}_${facing}_${pos.frame}`;
 
         if (!this.npcSprites[npcId]) {
           this.npcSprites[npcId] = this.add.image(0, 0, texKey).setOrigin(0, 0).setDepth(5);
@@ -465,13 +1199,15 @@ export default class GameScene extends Phaser.Scene {
 
         const sprite = this.npcSprites[npcId];
         sprite.setTexture(texKey);
-        sprite.setPosition(npc.x * TILE, npc.y * TILE);
+        sprite.setPosition(pos.x * TILE, pos.y * TILE);
         sprite.setVisible(true);
+        this.drawTeamMarker(npc, pos);
 
-        if (npc.invincibleUntil > Date.now()) {
+        if (npc.invincibleUntil > simNow) {
           sprite.setAlpha(Math.floor(time / 100) % 2 === 0 ? 1.0 : 0.3);
         } else {
-          sprite.setAlpha(1.0);
+          // Ghosts drift through blocks, so draw them see-through
+          sprite.setAlpha(npc.kind === "ghost" ? 0.7 : 1.0);
         }
 
         if (npc.hasShield) {
@@ -481,7 +1217,7 @@ export default class GameScene extends Phaser.Scene {
           const sg = this.shieldIndicators[npcId];
           sg.clear();
           sg.lineStyle(2, 0x44ff44, 0.7);
-          sg.strokeCircle(npc.x * TILE + TILE / 2, npc.y * TILE + TILE / 2, TILE / 2 + 2);
+          sg.strokeCircle(pos.x * TILE + TILE / 2, pos.y * TILE + TILE / 2, TILE / 2 + 2);
           sg.setVisible(true);
         } else if (this.shieldIndicators[npcId]) {
           this.shieldIndicators[npcId].setVisible(false);
@@ -493,44 +1229,134 @@ export default class GameScene extends Phaser.Scene {
       if (!seenPlayerIds.has(id)) {
         this.playerSprites[id].destroy();
         delete this.playerSprites[id];
+        delete this.playerMotions[id];
       }
     }
     for (const id of Object.keys(this.npcSprites)) {
       if (!seenNpcIds.has(id)) {
         this.npcSprites[id].destroy();
         delete this.npcSprites[id];
+        delete this.npcMotions[id];
       }
     }
   }
 
-  drawBombs(state) {
+  // Team games ring each entity's feet in its team color
+  drawTeamMarker(entity, pos) {
+    if (!entity.team || this.room.state.teams === "off") return;
+    this.teamGraphics.lineStyle(2, TEAM_COLORS[entity.team], 0.9);
+    this.teamGraphics.strokeEllipse(pos.x * TILE + TILE / 2, pos.y * TILE + TILE - 2, TILE - 4, 6);
+  }
+
+  // Display color of an objective side: a team's color, or the owning player's or bot's theme
+  sideColor(state, side) {
+    if (side.startsWith("team")) return TEAM_COLORS[parseInt(side.slice(4), 10)] || 0xffffff;
+    const player = state.players.get(side);
+    if (player) return THEME_COLORS[this.getPlayerTheme(player, side)];
+    const npc = state.npcs.get(side);
+    return npc ? THEME_COLORS[NPC_THEMES[npc.npcIndex % NPC_THEMES.length]] : 0xffffff;
+  }
+
+  // KOTH: the hill is a pulsing square under everything else. CTF: each base
+  // is a ring at its flag's home; flags ride above their carrier's head.
+  drawObjectives(state) {
+    this.hillGraphics.clear();
+    this.flagGraphics.clear();
+    if (state.status === "lobby") return;
+
+    if (state.gameMode === "koth") {
+      const left = (state.hillX - HILL_RADIUS) * TILE;
+      const top = (state.hillY - HILL_RADIUS) * TILE;
+      const size = (HILL_RADIUS * 2 + 1) * TILE;
+      this.hillGraphics.fillStyle(0xffcc00, 0.2 + 0.1 * Math.sin(this.time.now / 250));
+      this.hillGraphics.fillRect(left, top, size, size);
+      this.hillGraphics.lineStyle(2, 0xffcc00, 0.9);
+      this.hillGraphics.strokeRect(left + 1, top + 1, size - 2, size - 2);
+    }
+
+    if (!state.flags) return;
+    state.flags.forEach((flag) => {
+      const color = this.sideColor(state, flag.side);
+      this.hillGraphics.lineStyle(2, color, 0.8);
+      this.hillGraphics.strokeCircle(flag.homeX * TILE + TILE / 2, flag.homeY * TILE + TILE / 2, TILE / 2 - 2);
+
+      const carrier = flag.carrierId && (this.playerSprites[flag.carrierId] || this.npcSprites[flag.carrierId]);
+      const px = carrier ? carrier.x : flag.x * TILE;
+      const py = carrier ? carrier.y - TILE / 2 : flag.y * TILE;
+      this.flagGraphics.fillStyle(0xdddddd, 1);
+      this.flagGraphics.fillRect(px + 8, py + 4, 2, TILE - 8);
+      this.flagGraphics.fillStyle(color, 1);
+      this.flagGraphics.fillTriangle(px + 10, py + 4, px + TILE - 6, py + 9, px + 10, py + 14);
+    });
+  }
+
+  // Kicked bombs glide a tile per tick; thrown ones hop to their landing tile
+  // and hang above it until they come down. Mines only arrive for clients
+  // allowed to see them, and are drawn faded so their owner knows they're hidden.
+  drawBombs(state, time) {
     const seenBombIds = new Set();
 
-    if (state.bombs) {
-      state.bombs.forEach((bomb, bombId) => {
-        seenBombIds.add(bombId);
+    const drawBomb = (bomb, bombId) => {
+      seenBombIds.add(bombId);
 
-        if (!this.bombSprites[bombId]) {
-          this.bombSprites[bombId] = this.add.image(0, 0, "bomb").setOrigin(0, 0).setDepth(3);
-        }
+      const texKey = BOMB_TEXTURES[bomb.type] || "bomb";
+      if (!this.bombSprites[bombId]) {
+        this.bombSprites[bombId] = this.add.image(0, 0, texKey).setOrigin(0, 0).setDepth(3);
+      }
 
-        const sprite = this.bombSprites[bombId];
-        sprite.setPosition(bomb.x * TILE, bomb.y * TILE);
-        sprite.setVisible(true);
+      const sprite = this.bombSprites[bombId];
+      const pos = this.sampleMotion(this.bombMotions, bombId, bomb.x, bomb.y, TICK_MS, time);
+      const lift = bomb.airborne ? TILE / 2 : 0;
+      sprite.setTexture(texKey);
+      sprite.setPosition(pos.x * TILE, pos.y * TILE - lift);
+      sprite.setAlpha(bomb.airborne || bomb.type === "mine" ? 0.6 : 1);
+      sprite.setVisible(true);
 
-        const pulse = 1.0 + 0.1 * Math.sin(this.time.now / 150);
-        sprite.setScale(pulse);
-      });
-    }
+      const size = bomb.type === "bomblet" ? 0.6 : 1.0;
+      const pulse = bomb.type === "mine" ? 1.0 : 1.0 + 0.1 * Math.sin(this.time.now / 150);
+      sprite.setScale(size * pulse);
+      if (size !== 1.0) sprite.setPosition(sprite.x + TILE * (1 - size) / 2, sprite.y + TILE * (1 - size) / 2);
+
+      this.drawFuse(state, bomb, pos, lift);
+    };
+
+    this.fuseGraphics.clear();
+    if (state.bombs) state.bombs.forEach(drawBomb);
+    if (state.mines) state.mines.forEach(drawBomb);
 
     for (const id of Object.keys(this.bombSprites)) {
       if (!seenBombIds.has(id)) {
         this.bombSprites[id].destroy();
         delete this.bombSprites[id];
+        delete this.bombMotions[id];
       }
     }
   }
 
+  // A shrinking bar under timed bombs; remote bombs blink instead, since
+  // their owner decides when they go off
+  drawFuse(state, bomb, pos, lift) {
+    const fuse = FUSE_LENGTHS[bomb.type];
+    if (!fuse || bomb.airborne) return;
+
+    const x = pos.x * TILE;
+    const y = pos.y * TILE - lift;
+    if (bomb.type === "remote") {
+      if (Math.floor(this.time.now / 250) % 2 === 0) {
+        this.fuseGraphics.fillStyle(0xff2222, 1);
+        this.fuseGraphics.fillCircle(x + TILE / 2, y + 3, 2);
+      }
+      return;
+    }
+
+    const remaining = bomb.explodeAt - (state.roundStart + this.remoteTime);
+    const frac = Phaser.Math.Clamp(remaining / fuse, 0, 1);
+    this.fuseGraphics.fillStyle(0x000000, 0.6);
+    this.fuseGraphics.fillRect(x + 2, y + TILE - 3, TILE - 4, 2);
+    this.fuseGraphics.fillStyle(frac > 0.3 ? 0xffcc00 : 0xff3300, 1);
+    this.fuseGraphics.fillRect(x + 2, y + TILE - 3, (TILE - 4) * frac, 2);
+  }
+
   drawExplosions() {
     this.explosionGraphics.clear();
     for (const explosion of this.explosions) {
@@ -605,47 +1431,185 @@ export default class GameScene extends Phaser.Scene {
     if (!state.players) return;
 
     const mode = state.gameMode;
-    if (mode === "classic") {
+    const teams = !!state.teams && state.teams !== "off";
+    for (const text of this.teamScoreTexts) text.setVisible(teams);
+
+    if (mode === "classic" && !teams) {
+      // No score to show; just flag seats a bot is holding for a reconnecting player
+      const away = [];
+      state.players.forEach((player) => {
+        if (player.botControlled) away.push(`P${player.playerIndex + 1}: reconnecting (bot)`);
+      });
+      this.scoreboardText.setText(away.join("\n"));
+      return;
+    }
+
+    const entries = this.scoreEntries(state);
+    let monstersLeft = 0;
+    state.npcs.forEach((npc) => {
+      if (isMonster(npc) && npc.alive) monstersLeft++;
+    });
+
+    if (teams) {
       this.scoreboardText.setText("");
+      this.updateTeamScoreboard(state, entries);
       return;
     }
 
     let lines = [];
     if (mode === "kills") {
       lines.push(`KILLS (first to ${state.killTarget})`);
+    } else if (mode === "ctf") {
+      lines.push(`CAPTURES (first to ${state.captureTarget})`);
+    } else if (mode === "koth") {
+      lines.push(`HILL (first to ${state.holdTarget}s)`, this.hillCountdown(state));
     } else if (mode === "lives") {
       lines.push("LIVES");
+    } else if (mode === "campaign") {
+      lines.push(`STAGE ${state.stage}/${CAMPAIGN_STAGES}`, `SCORE ${state.score}`,
+        state.exitOpen ? "EXIT OPEN" : `Monsters: ${monstersLeft}`);
     }
 
-    // Collect all entities with info
+    for (const e of entries) {
+      lines.push(this.formatScoreLine(e, mode));
+    }
+
+    this.scoreboardText.setText(lines.join("\n"));
+  }
+
+  // Players (seat order as listed) then bots, with everything the scoreboard and
+  // results screen show; campaign monsters are left out
+  scoreEntries(state) {
     const entries = [];
+    const add = (id, entity, name, color) => entries.push({
+      id, name, color,
+      kills: entity.kills, deaths: entity.deaths, suicides: entity.suicides, powerups: entity.powerups,
+      captures: entity.captures, holdTime: entity.holdTime,
+      lives: entity.lives, alive: entity.alive, team: entity.team,
+    });
     state.players.forEach((player, sessionId) => {
-      const isMe = sessionId === this.room.sessionId;
-      const name = isMe ? "You" : `P${player.playerIndex + 1}`;
-      entries.push({ name, kills: player.kills, lives: player.lives, alive: player.alive, color: isMe ? "blue" : "red" });
+      const isMe = sessionId === this.room.sessionId && !this.hotSeat;
+      const name = (isMe ? "You" : `P${player.playerIndex + 1}`) + (player.botControlled ? " (bot)" : "");
+      add(sessionId, player, name, this.getPlayerTheme(player, sessionId));
     });
-    state.npcs.forEach((npc) => {
-      entries.push({ name: `Bot${npc.npcIndex + 1}`, kills: npc.kills, lives: npc.lives, alive: npc.alive, color: NPC_THEMES[npc.npcIndex % NPC_THEMES.length] });
+    state.npcs.forEach((npc, npcId) => {
+      if (!isMonster(npc)) add(npcId, npc, `Bot${npc.npcIndex + 1}`, NPC_THEMES[npc.npcIndex % NPC_THEMES.length]);
     });
+    return entries;
+  }
 
-    for (const e of entries) {
-      if (mode === "kills") {
-        lines.push(`${e.name}: ${e.kills}`);
+  // Who a series side is: a team, or a player or bot by its scoreboard name
+  sideName(state, side) {
+    if (side.startsWith("team")) return `${TEAM_NAMES[parseInt(side.slice(4), 10)]} Team`;
+    if (side === this.room.sessionId && !this.hotSeat) return "You";
+    const player = state.players.get(side);
+    if (player) return `P${player.playerIndex + 1}`;
+    const npc = state.npcs.get(side);
+    return npc ? `Bot${npc.npcIndex + 1}` : "?";
+  }
+
+  // --- RESULTS ---
+  // Shown while a round is over: a stats table per entity, then the series
+  // score (and its winner, once a side has a majority)
+  updateResults(state) {
+    if (state.status !== "ended" || !state.players || this.connectionMessage) {
+      this.resultsText.setText("");
+      return;
+    }
+
+    const lines = [];
+    const series = state.series > 1;
+    if (series) lines.push(`ROUND ${state.seriesRound} — BEST OF ${state.series}`, "");
+
+    const entries = this.scoreEntries(state);
+    const width = Math.max(6, ...entries.map((e) => e.name.length));
+    const row = (name, ...cols) => name.padEnd(width) + cols.map((c) => String(c).padStart(4)).join("");
+    lines.push(row("", "K", "D", "S", "PU"));
+    for (const e of entries) lines.push(row(e.name, e.kills, e.deaths, e.suicides, e.powerups));
+
+    if (series && state.seriesWins) {
+      const score = [...state.seriesWins.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .map(([side, wins]) => `${this.sideName(state, side)} ${wins}`);
+      lines.push("", `SERIES  ${score.length ? score.join("  ") : "no wins yet"}`);
+      if (state.seriesWinner) {
+        const me = this.hotSeat ? null : state.players.get(this.room.sessionId);
+        const mine = !!me && (state.seriesWinner === this.room.sessionId || state.seriesWinner === `team${me.team}`);
+        lines.push(mine ? `${me.team ? "Your team wins" : "You win"} the series!`
+          : `${this.sideName(state, state.seriesWinner)} wins the series!`);
       } else {
-        const hearts = e.lives > 0 ? `${"*".repeat(Math.min(e.lives, 5))}` : "OUT";
-        lines.push(`${e.name}: ${hearts}`);
+        lines.push(`First to ${Math.floor(state.series / 2) + 1} wins`);
       }
     }
 
-    this.scoreboardText.setText(lines.join("\n"));
+    this.resultsText.setText(lines.join("\n"));
+  }
+
+  // One block per team, stacked top-right: a header with the team's total, then its members
+  updateTeamScoreboard(state, entries) {
+    let y = 4;
+    this.teamScoreTexts.forEach((text, i) => {
+      const team = i + 1;
+      const members = entries.filter((e) => e.team === team);
+      const name = TEAM_NAMES[team].toUpperCase();
+      const total = (key) => members.reduce((sum, e) => sum + e[key], 0);
+      let header;
+      if (state.gameMode === "kills") header = `${name} ${total("kills")}/${state.killTarget}`;
+      else if (state.gameMode === "ctf") header = `${name} ${total("captures")}/${state.captureTarget}`;
+      else if (state.gameMode === "koth") header = `${name} ${Math.floor(total("holdTime") / 1000)}/${state.holdTarget}s`;
+      else header = `${name} (${members.filter((e) => e.alive || e.lives > 0).length} left)`;
+      const lines = [header, ...members.map((e) => this.formatScoreLine(e, state.gameMode))];
+      if (state.gameMode === "koth" && team === 2) lines.push(this.hillCountdown(state));
+      text.setText(lines.join("\n"));
+      text.setY(y);
+      y += text.height + 4;
+    });
+  }
+
+  formatScoreLine(e, mode) {
+    if (mode === "kills") return `${e.name}: ${e.kills}`;
+    if (mode === "ctf") return `${e.name}: ${e.captures}`;
+    if (mode === "koth") return `${e.name}: ${Math.floor(e.holdTime / 1000)}s`;
+    if (mode === "classic") return `${e.name}${e.alive ? "" : ": OUT"}`;
+    const hearts = e.lives > 0 ? `${"*".repeat(Math.min(e.lives, 5))}` : "OUT";
+    return `${e.name}: ${hearts}`;
+  }
+
+  // Time left in a timed round, red once sudden death starts
+  updateTimer(state) {
+    if (!state.endsAt || state.status !== "playing") {
+      this.timerText.setText("");
+      return;
+    }
+    const secs = Math.max(0, Math.ceil((state.endsAt - (state.roundStart + this.remoteTime)) / 1000));
+    const clock = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+    this.timerText.setText(state.suddenDeathActive ? `SUDDEN DEATH ${clock}` : clock);
+    this.timerText.setColor(state.suddenDeathActive ? "#ff4444" : "#ffffff");
+  }
+
+  hillCountdown(state) {
+    const left = Math.max(0, Math.ceil((state.hillMovesAt - (state.roundStart + this.remoteTime)) / 1000));
+    return `Hill moves in ${left}s`;
   }
 
   updateDebug(state) {
+    if (this.isReplay) {
+      this.updateReplayHud();
+      return;
+    }
     if (!state.players) {
       this.debugText.setText("Syncing...");
       this.powerupText.setText("");
       return;
     }
+    if (this.isSpectator(state)) {
+      this.updateSpectatorHud(state);
+      return;
+    }
+    if (this.hotSeat) {
+      this.updateHotSeatHud(state);
+      return;
+    }
     const myPlayer = state.players.get(this.room.sessionId);
     if (!myPlayer) {
       this.debugText.setText("Waiting...");
@@ -654,18 +1618,74 @@ export default class GameScene extends Phaser.Scene {
     }
 
     this.debugText.setText(
-      `Pos: (${myPlayer.x}, ${myPlayer.y})  Bombs: ${myPlayer.bombsAvailable}  Alive: ${myPlayer.alive}  Status: ${state.status}`
+      `Pos: (${myPlayer.x}, ${myPlayer.y})  Bombs: ${myPlayer.bombsAvailable}/${myPlayer.maxBombs}  Alive: ${myPlayer.alive}  Status: ${state.status}`
     );
 
-    let puText = "";
+    const binding = this.localSeats[0].binding;
+    let puText = this.formatStats(myPlayer, binding);
+    const fireKey = binding.fire.length > 0 ? ` (${keyLabel(binding.fire[0])})` : "";
     if (myPlayer.powerupType === 1) {
-      puText = `FLAMETHROWER: ${myPlayer.powerupUses} uses`;
+      puText += `  |  FLAMETHROWER${fireKey}: ${myPlayer.powerupUses} uses`;
     } else if (myPlayer.powerupType === 2) {
-      puText = `RAYGUN: ${myPlayer.powerupUses} uses`;
+      puText += `  |  RAYGUN${fireKey}: ${myPlayer.powerupUses} uses`;
     }
     if (myPlayer.hasShield) {
-      puText += puText ? "  |  SHIELD ACTIVE" : "SHIELD ACTIVE";
+      puText += "  |  SHIELD ACTIVE";
     }
     this.powerupText.setText(puText);
   }
+
+  // Hot-seat: a line per seat (its keys, then its stats) in place of the debug line
+  updateHotSeatHud(state) {
+    const lines = this.localSeats.map((seat) => {
+      const player = state.players.get(seat.id);
+      if (!player) return "";
+      const extras = [
+        player.powerupType === 1 && `Flame x${player.powerupUses}`,
+        player.powerupType === 2 && `Ray x${player.powerupUses}`,
+        player.hasShield && "Shield",
+        !player.alive && "(dead)",
+      ].filter(Boolean);
+      return `P${player.playerIndex + 1} [${describeBinding(seat.binding)}]  ${this.formatStats(player, seat.binding)}`
+        + (extras.length ? `  ${extras.join(" ")}` : "");
+    });
+    this.debugText.setText(lines[0]);
+    this.powerupText.setText(lines.slice(1).join("\n"));
+  }
+
+  // Stat powerup levels: bomb capacity, blast range, and speed-ups collected (1 = base).
+  // With a seat's binding, remote bombs name its detonate key.
+  formatStats(entity, binding = null) {
+    const abilities = [entity.canKick && "Kick", entity.canThrow && "Glove"].filter(Boolean);
+    if (entity.bombType === "remote" && binding && binding.detonate.length > 0) {
+      abilities.push(`${BOMB_TYPE_LABELS.remote} (${keyLabel(binding.detonate[0])})`);
+    } else if (entity.bombType && entity.bombType !== "normal") {
+      abilities.push(BOMB_TYPE_LABELS[entity.bombType]);
+    }
+    return `Bombs x${entity.maxBombs}  Fire x${entity.power}  Speed x${this.speedLevel(entity)}`
+      + (abilities.length ? `  ${abilities.join(" ")}` : "");
+  }
+
+  speedLevel(entity) {
+    return 1 + Math.round((MOVE_DELAY - entity.moveDelay) / SPEED_UP_STEP);
+  }
+
+  updateReplayHud() {
+    const status = this.replayStatus;
+    if (!status) {
+      this.debugText.setText("Loading replay...");
+      this.powerupText.setText("");
+      return;
+    }
+
+    const fmt = (ticks) => {
+      const secs = Math.floor((ticks * status.tickMs) / 1000);
+      return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+    };
+    this.debugText.setText(
+      `REPLAY ${status.paused ? "||" : ">"} ${fmt(status.tick)}/${fmt(status.totalTicks)} x${status.speed}  Space=pause  Arrows=seek/speed`
+    );
+    this.powerupText.setText("");
+    this.drawReplayBar();
+  }
 }
@@ -1,7 +1,7 @@
 // bot.js — NPC bot AI with BFS pathfinding, danger awareness, and priority-based decisions
 
-import { WALL, BLOCK } from "./map.js";
-import { BOMB_FUSE, DEFAULT_POWER, computeExplosion, computeFlamethrowerExplosion, computeRaygunExplosion, computeFlamethrowerShot, computeRaygunShot } from "./rules.js";
+import { WALL, BLOCK, isPowerupTile } from "./map.js";
+import { BOMB_FUSE, DEFAULT_POWER, MOVE_DELAY, DIR_MAP, computeExplosion, computeBombExplosion, computeFlamethrowerExplosion, computeRaygunExplosion, computeFlamethrowerShot, computeRaygunShot } from "./rules.js";
 
 // --- Difficulty configurations ---
 
@@ -73,17 +73,18 @@ function isPassable(tile) {
   return tile !== WALL && tile !== BLOCK;
 }
 
+// Tiles blocked by bombs (thrown bombs block nothing until they land, mines never do)
 function buildBombSet(bombs) {
   const set = new Set();
   bombs.forEach((bomb) => {
-    set.add(`${bomb.x},${bomb.y}`);
+    if (!bomb.airborne && bomb.type !== "mine") set.add(`${bomb.x},${bomb.y}`);
   });
   return set;
 }
 
-function shuffle(arr) {
+function shuffle(arr, rng) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -92,11 +93,12 @@ function shuffle(arr) {
 // --- BotBrain class ---
 
 export class BotBrain {
-  constructor(npcId, difficulty, cols, rows) {
+  constructor(npcId, difficulty, cols, rows, rng = Math.random) {
     this.npcId = npcId;
     this.config = DIFFICULTY[difficulty] || DIFFICULTY.medium;
     this.cols = cols;
     this.rows = rows;
+    this.rng = rng;
     this.elapsed = 0;
     this.lastBombTime = 0;
 
@@ -121,7 +123,9 @@ export class BotBrain {
     return computeExplosion(grid, bx, by, power, this.cols, this.rows);
   }
 
-  update(dt, npc, grid, bombs, alivePlayers, now) {
+  // alivePlayers: the entities to hunt; allies: teammates whose escape routes a bomb must leave open;
+  // objective: { x, y, radius } area to make for in objective modes (flag, base or hill), or null
+  update(dt, npc, grid, bombs, alivePlayers, now, allies = [], objective = null) {
     this.elapsed += dt;
     if (this.elapsed < this.config.tickRate) return null;
     this.elapsed = Math.min(this.elapsed - this.config.tickRate, this.config.tickRate * 2);
@@ -129,6 +133,10 @@ export class BotBrain {
     if (!npc.alive) return null;
 
     const dangerMap = this.buildDangerMap(grid, bombs);
+    // Campaign monsters kill on contact: keep a tile between us and them
+    for (const target of alivePlayers) {
+      if (target.deadly) this.markContactDanger(dangerMap, target);
+    }
 
     // Priority 1: Survive — ALWAYS runs first, never skipped by mistakes
     const fleeAction = this.prioritySurvive(npc, grid, bombs, dangerMap);
@@ -172,7 +180,7 @@ export class BotBrain {
     }
 
     // Mistake roll (only for non-survival actions)
-    if (Math.random() < this.config.mistakeRate) {
+    if (this.rng() < this.config.mistakeRate) {
       const move = this.randomMove(npc, grid, bombs);
       if (move) this.lastDir = move.dir;
       return move;
@@ -180,13 +188,19 @@ export class BotBrain {
 
     // Priority 2: Attack
     if (this.config.useBfsForAttack) {
-      const attackAction = this.priorityAttack(npc, grid, bombs, alivePlayers, dangerMap, now);
+      const attackAction = this.priorityAttack(npc, grid, bombs, alivePlayers, dangerMap, now, allies);
       if (attackAction) return attackAction;
     } else {
-      const easyBomb = this.easyBombLogic(npc, alivePlayers, now);
+      const easyBomb = this.easyBombLogic(npc, grid, bombs, alivePlayers, now, allies);
       if (easyBomb) return easyBomb;
     }
 
+    // Priority 2.2: Objective (ctf flags, koth hill)
+    if (objective) {
+      const objectiveAction = this.priorityObjective(npc, grid, bombs, objective, dangerMap);
+      if (objectiveAction) return objectiveAction;
+    }
+
     // Priority 2.5: Seek Powerups
     if (this.config.seekPowerups) {
       const seekAction = this.prioritySeekPowerup(npc, grid, bombs, dangerMap);
@@ -200,7 +214,7 @@ export class BotBrain {
     }
 
     // Priority 4: Clear
-    const clearAction = this.priorityClear(npc, grid, bombs, alivePlayers, dangerMap, now);
+    const clearAction = this.priorityClear(npc, grid, bombs, alivePlayers, dangerMap, now, allies);
     if (clearAction) return clearAction;
 
     const move = this.randomMove(npc, grid, bombs);
@@ -216,9 +230,22 @@ export class BotBrain {
       dangerMap[y] = new Array(this.cols).fill(null);
     }
 
+    // A kicked bomb can stop anywhere along its slide, so it is dangerous from
+    // every tile it may still reach; a thrown bomb is already at its landing tile.
+    // Remote bombs can go off at any moment. Mines are hidden, even from bots.
+    const bombSet = buildBombSet(bombs);
     const bombList = [];
     bombs.forEach((bomb) => {
-      bombList.push({ x: bomb.x, y: bomb.y, explodeAt: bomb.explodeAt, power: DEFAULT_POWER });
+      if (bomb.type === "mine") return;
+      const power = bomb.power || DEFAULT_POWER;
+      const type = bomb.type || "normal";
+      const explodeAt = type === "remote" ? 0 : bomb.explodeAt;
+      bombList.push({ x: bomb.x, y: bomb.y, explodeAt, power, type });
+      if (bomb.slideDir) {
+        for (const t of this.slidePath(grid, bombSet, bomb)) {
+          bombList.push({ x: t.x, y: t.y, explodeAt, power, type });
+        }
+      }
     });
 
     if (this.config.chainAwareness) {
@@ -226,7 +253,7 @@ export class BotBrain {
       while (changed) {
         changed = false;
         for (const bombA of bombList) {
-          const blastA = computeExplosion(grid, bombA.x, bombA.y, bombA.power, this.cols, this.rows).tiles;
+          const blastA = computeBombExplosion(grid, bombA, this.cols, this.rows).tiles;
           for (const bombB of bombList) {
             if (bombA === bombB) continue;
             for (const t of blastA) {
@@ -245,7 +272,7 @@ export class BotBrain {
     }
 
     for (const bomb of bombList) {
-      const { tiles } = computeExplosion(grid, bomb.x, bomb.y, bomb.power, this.cols, this.rows);
+      const { tiles } = computeBombExplosion(grid, bomb, this.cols, this.rows);
       for (const t of tiles) {
         if (dangerMap[t.y][t.x] === null || dangerMap[t.y][t.x] > bomb.explodeAt) {
           dangerMap[t.y][t.x] = bomb.explodeAt;
@@ -256,6 +283,28 @@ export class BotBrain {
     return dangerMap;
   }
 
+  markContactDanger(dangerMap, monster) {
+    for (const d of [{ dx: 0, dy: 0 }, ...DIRS]) {
+      const x = monster.x + d.dx;
+      const y = monster.y + d.dy;
+      if (this.inBounds(x, y)) dangerMap[y][x] = 0;
+    }
+  }
+
+  // Tiles ahead of a sliding bomb, up to the first obstacle
+  slidePath(grid, bombSet, bomb) {
+    const { dx, dy } = DIR_MAP[bomb.slideDir];
+    const path = [];
+    let x = bomb.x + dx;
+    let y = bomb.y + dy;
+    while (this.inBounds(x, y) && isPassable(grid[y][x]) && !bombSet.has(`${x},${y}`)) {
+      path.push({ x, y });
+      x += dx;
+      y += dy;
+    }
+    return path;
+  }
+
   // --- BFS ---
 
   bfs(grid, startX, startY, bombs, goalFn) {
@@ -358,16 +407,7 @@ export class BotBrain {
     let score = 0;
 
     for (const player of alivePlayers) {
-      const reachable = this.bfsFlood(grid, player.x, player.y, bombs, null);
-
-      let safeTilesReachable = 0;
-      for (const [key, dist] of reachable) {
-        if (!blastSet.has(key)) {
-          if (dist * 120 < BOMB_FUSE) {
-            safeTilesReachable++;
-          }
-        }
-      }
+      const safeTilesReachable = this.countSafeTiles(grid, bombs, player, blastSet);
 
       if (safeTilesReachable === 0) score += 100;
       else if (safeTilesReachable <= 2) score += 50;
@@ -379,6 +419,36 @@ export class BotBrain {
     return score;
   }
 
+  // Tiles outside `blastSet` that `entity` can reach before a fresh bomb goes
+  // off, at its own pace (speed-ups shorten its moveDelay)
+  countSafeTiles(grid, bombs, entity, blastSet) {
+    const reachable = this.bfsFlood(grid, entity.x, entity.y, bombs, null);
+    const moveDelay = entity.moveDelay || MOVE_DELAY;
+
+    let safeTiles = 0;
+    for (const [key, dist] of reachable) {
+      if (!blastSet.has(key)) {
+        if (dist * moveDelay < BOMB_FUSE) {
+          safeTiles++;
+        }
+      }
+    }
+    return safeTiles;
+  }
+
+  // Would a bomb here catch a teammate with nowhere to run?
+  trapsAlly(grid, bombs, bx, by, npc, allies) {
+    if (allies.length === 0) return false;
+
+    const blastTiles = this.getExplosionTiles(grid, bx, by, npc.powerupType || 0, npc.power).tiles;
+    const blastSet = new Set(blastTiles.map((t) => `${t.x},${t.y}`));
+    const bombsWithNew = new Map(bombs);
+    bombsWithNew.set("_planned", { x: bx, y: by });
+
+    return allies.some((ally) => blastSet.has(`${ally.x},${ally.y}`)
+      && this.countSafeTiles(grid, bombsWithNew, ally, blastSet) === 0);
+  }
+
   // --- Priority 1: Survive ---
 
   prioritySurvive(npc, grid, bombs, dangerMap) {
@@ -435,7 +505,7 @@ export class BotBrain {
 
   // --- Priority 2: Attack ---
 
-  priorityAttack(npc, grid, bombs, alivePlayers, dangerMap, now) {
+  priorityAttack(npc, grid, bombs, alivePlayers, dangerMap, now, allies) {
     // Try weapon fire first (instant, no cooldown)
     const fireAction = this.tryWeaponFire(npc, grid, alivePlayers);
     if (fireAction) return fireAction;
@@ -466,6 +536,8 @@ export class BotBrain {
       if (score < 10) return null;
     }
 
+    if (this.trapsAlly(grid, bombs, npc.x, npc.y, npc, allies)) return null;
+
     this.lastBombTime = now;
     this.fleeBombPos = { x: npc.x, y: npc.y };
     this.commitTicks = 0;
@@ -474,14 +546,15 @@ export class BotBrain {
 
   // --- Easy bomb logic ---
 
-  easyBombLogic(npc, alivePlayers, now) {
+  easyBombLogic(npc, grid, bombs, alivePlayers, now, allies) {
     if (now - this.lastBombTime < this.config.bombCooldown) return null;
     if (npc.bombsAvailable <= 0) return null;
+    if (this.trapsAlly(grid, bombs, npc.x, npc.y, npc, allies)) return null;
 
     for (const player of alivePlayers) {
       const d = manhattanDist(npc.x, npc.y, player.x, player.y);
       if (d <= this.config.nearPlayerDist) {
-        if (Math.random() < this.config.bombChanceNearPlayer) {
+        if (this.rng() < this.config.bombChanceNearPlayer) {
           this.lastBombTime = now;
           this.fleeBombPos = { x: npc.x, y: npc.y };
           return { type: "bomb" };
@@ -492,13 +565,30 @@ export class BotBrain {
     return null;
   }
 
+  // --- Priority 2.2: Objective ---
+
+  // Head for the objective area; once inside an area worth holding (the hill), stay put
+  priorityObjective(npc, grid, bombs, objective, dangerMap) {
+    const inArea = (x, y) => Math.abs(x - objective.x) <= objective.radius && Math.abs(y - objective.y) <= objective.radius;
+    if (inArea(npc.x, npc.y)) {
+      if (objective.radius === 0) return null;
+      this.commitTicks = 0;
+      return { type: "hold" };
+    }
+
+    const step = this.bfs(grid, npc.x, npc.y, bombs, inArea);
+    if (step && dangerMap[step.y][step.x] === null) {
+      this.lastDir = step.dir;
+      this.commitTicks = 0;
+      return { type: "move", dir: step.dir };
+    }
+    return null;
+  }
+
   // --- Priority 2.5: Seek Powerups ---
 
   prioritySeekPowerup(npc, grid, bombs, dangerMap) {
-    const step = this.bfs(grid, npc.x, npc.y, bombs, (x, y) => {
-      const tile = grid[y][x];
-      return tile >= 3 && tile <= 5;
-    });
+    const step = this.bfs(grid, npc.x, npc.y, bombs, (x, y) => isPowerupTile(grid[y][x]));
 
     if (step && dangerMap[step.y][step.x] === null) {
       this.lastDir = step.dir;
@@ -537,7 +627,7 @@ export class BotBrain {
 
   // --- Priority 4: Clear blocks ---
 
-  priorityClear(npc, grid, bombs, alivePlayers, dangerMap, now) {
+  priorityClear(npc, grid, bombs, alivePlayers, dangerMap, now, allies) {
     let nearestPlayer = null;
     let nearestDist = Infinity;
     for (const player of alivePlayers) {
@@ -556,7 +646,8 @@ export class BotBrain {
     });
 
     if (hasAdjacentBlock && npc.bombsAvailable > 0 && (now - this.lastBombTime >= this.config.bombCooldown)) {
-      if (!this.config.escapeCheck || this.canEscapeAfterBomb(npc, grid, bombs, npc.x, npc.y)) {
+      if ((!this.config.escapeCheck || this.canEscapeAfterBomb(npc, grid, bombs, npc.x, npc.y))
+          && !this.trapsAlly(grid, bombs, npc.x, npc.y, npc, allies)) {
         this.lastBombTime = now;
         this.fleeBombPos = { x: npc.x, y: npc.y };
         this.commitTicks = 0;
@@ -587,7 +678,7 @@ export class BotBrain {
 
   randomMove(npc, grid, bombs) {
     const bombSet = buildBombSet(bombs);
-    const dirs = shuffle([...DIRS]);
+    const dirs = shuffle([...DIRS], this.rng);
 
     // Determine the reverse of last direction to deprioritize it
     const reverseMap = { up: "down", down: "up", left: "right", right: "left" };
@@ -0,0 +1,196 @@
+// controls.js — which keys, gamepads and touch buttons drive which local
+// seat. A lone player can use either hand's keys and any gamepad; hot-seat
+// players get a set of keys each (while the keyboard lasts) and pad N plays
+// seat N.
+
+import Phaser from "phaser";
+
+// Actions a seat's keys can trigger, in the order the HUD and the settings menu list them
+export const ACTIONS = ["up", "down", "left", "right", "bomb", "fire", "detonate", "restart"];
+
+export const ACTION_LABELS = {
+  up: "Up",
+  down: "Down",
+  left: "Left",
+  right: "Right",
+  bomb: "Bomb",
+  fire: "Fire weapon",
+  detonate: "Detonate",
+  restart: "Vote restart",
+};
+
+// Key names are Phaser.Input.Keyboard.KeyCodes names
+const SOLO_KEYS = {
+  up: ["W", "UP"],
+  down: ["S", "DOWN"],
+  left: ["A", "LEFT"],
+  right: ["D", "RIGHT"],
+  bomb: ["SPACE"],
+  fire: ["F"],
+  detonate: ["E"],
+  restart: ["R"],
+};
+
+// A hot-seat restart needs every seat's vote, so each has a key for it
+const HOT_SEAT_KEYS = [
+  { up: ["W"], down: ["S"], left: ["A"], right: ["D"], bomb: ["SPACE"], fire: ["F"], detonate: ["E"], restart: ["R"] },
+  { up: ["UP"], down: ["DOWN"], left: ["LEFT"], right: ["RIGHT"], bomb: ["ENTER"], fire: ["FORWARD_SLASH"], detonate: ["SHIFT"], restart: ["BACKSPACE"] },
+];
+
+// Rebound keys: { solo: binding, hotSeat: [binding, ...] }, each holding
+// only the actions the player changed
+const KEYS_STORAGE_KEY = "bomit_keys";
+
+// Seats past the keyboard's play on a gamepad alone
+const NO_KEYS = Object.fromEntries(ACTIONS.map((action) => [action, []]));
+
+// Most players one keyboard can seat
+export const MAX_KEYBOARD_SEATS = HOT_SEAT_KEYS.length;
+
+function loadSavedKeys() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYS_STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+// The actions in `saved` that name real keys
+function savedActions(saved) {
+  const binding = {};
+  if (!saved || typeof saved !== "object") return binding;
+  for (const action of ACTIONS) {
+    const names = saved[action];
+    if (Array.isArray(names) && names.every((name) => Phaser.Input.Keyboard.KeyCodes[name] !== undefined)) {
+      binding[action] = names;
+    }
+  }
+  return binding;
+}
+
+/**
+ * Key names per action for seat `index` of `seatCount` local seats, with the
+ * player's rebinds applied.
+ */
+export function seatBindings(index, seatCount) {
+  const saved = loadSavedKeys();
+  if (seatCount <= 1) return { ...SOLO_KEYS, ...savedActions(saved.solo) };
+  if (!HOT_SEAT_KEYS[index]) return NO_KEYS;
+  return { ...HOT_SEAT_KEYS[index], ...savedActions(Array.isArray(saved.hotSeat) && saved.hotSeat[index]) };
+}
+
+/**
+ * Remember a seat's binding (see seatBindings) for the next game with as many
+ * local seats.
+ */
+export function saveSeatBinding(index, seatCount, binding) {
+  const saved = loadSavedKeys();
+  if (seatCount <= 1) {
+    saved.solo = binding;
+  } else {
+    saved.hotSeat = Array.isArray(saved.hotSeat) ? saved.hotSeat : [];
+    saved.hotSeat[index] = binding;
+  }
+  localStorage.setItem(KEYS_STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Back to the default keys everywhere
+export function resetKeyBindings() {
+  localStorage.removeItem(KEYS_STORAGE_KEY);
+}
+
+// KeyCodes name for a keydown event's key, or null for keys Phaser has no name for
+export function keyNameForCode(keyCode) {
+  const codes = Phaser.Input.Keyboard.KeyCodes;
+  return Object.keys(codes).find((name) => codes[name] === keyCode) || null;
+}
+
+// Readable key name, e.g. "Space", "/", "Up"
+export function keyLabel(name) {
+  const symbols = { FORWARD_SLASH: "/", BACK_SLASH: "\\", COMMA: ",", PERIOD: ".", SEMICOLON: ";", QUOTES: "'", OPEN_BRACKET: "[", CLOSED_BRACKET: "]", MINUS: "-", PLUS: "=" };
+  if (!name) return "-";
+  if (symbols[name]) return symbols[name];
+  return name.split("_").map((part) => part.charAt(0) + part.slice(1).toLowerCase()).join(" ");
+}
+
+/**
+ * Phaser Key objects for a binding: { action: [Key, ...] }.
+ */
+export function addBindingKeys(keyboard, binding) {
+  const keys = {};
+  for (const action of ACTIONS) {
+    keys[action] = binding[action].map((name) => keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[name]));
+  }
+  return keys;
+}
+
+// Short label for a binding's keys, e.g. "WASD + Space, F, E" (bomb, fire, detonate)
+export function describeBinding(binding) {
+  if (ACTIONS.every((action) => binding[action].length === 0)) return "Gamepad";
+  const moves = ["up", "left", "down", "right"].map((a) => binding[a][0]);
+  let moveLabel = moves.map(keyLabel).join("");
+  if (moves.join(" ") === "W A S D") moveLabel = "WASD";
+  else if (moves.join(" ") === "UP LEFT DOWN RIGHT") moveLabel = "Arrows";
+  return `${moveLabel} + ${["bomb", "fire", "detonate"].map((a) => keyLabel(binding[a][0])).join(", ")}`;
+}
+
+// --- Gamepads ---
+// Button numbers follow the browser's standard mapping: 0 = A / Cross,
+// 1 = B / Circle, 2 = X / Square, 8 = Back / Select, 9 = Start. Moving uses
+// the d-pad or the left stick.
+
+const PAD_STORAGE_KEY = "bomit_pad_buttons";
+
+// Actions on remappable buttons, in the order remapping asks for them
+export const PAD_ACTIONS = ["bomb", "fire", "detonate", "restart"];
+const DEFAULT_PAD_BUTTONS = { bomb: 0, fire: 2, detonate: 1, restart: 9 };
+
+// Starts (and cancels) remapping, so it can never be mapped away
+export const PAD_REMAP_BUTTON = 8;
+
+// How far the left stick has to lean to count as a direction
+const STICK_DEADZONE = 0.5;
+
+// The player's button mapping (see PAD_ACTIONS), defaults filling any gaps
+export function loadPadButtons() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(PAD_STORAGE_KEY));
+  } catch {
+    saved = null;
+  }
+  const buttons = { ...DEFAULT_PAD_BUTTONS };
+  for (const action of PAD_ACTIONS) {
+    const index = saved && saved[action];
+    if (Number.isInteger(index) && index >= 0 && index !== PAD_REMAP_BUTTON) buttons[action] = index;
+  }
+  return buttons;
+}
+
+export function savePadButtons(buttons) {
+  localStorage.setItem(PAD_STORAGE_KEY, JSON.stringify(buttons));
+}
+
+// Direction a Phaser gamepad is pushing (d-pad first, then the left stick), or null
+export function padDirection(pad) {
+  if (pad.left) return "left";
+  if (pad.right) return "right";
+  if (pad.up) return "up";
+  if (pad.down) return "down";
+
+  const { x, y } = pad.leftStick;
+  if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+  if (Math.abs(x) >= Math.abs(y)) return x < 0 ? "left" : "right";
+  return y < 0 ? "up" : "down";
+}
+
+// --- Touch ---
+
+// Room under the HUD for the on-screen D-pad and buttons
+export const TOUCH_PANEL_HEIGHT = 150;
+
+// Phones and tablets: the main pointer is a finger
+export function isTouchDevice() {
+  return typeof window !== "undefined" && !!window.matchMedia && window.matchMedia("(pointer: coarse)").matches;
+}
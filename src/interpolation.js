@@ -0,0 +1,98 @@
+// interpolation.js — smooth tile-to-tile motion for entities the server moves a whole tile at a time
+
+// More steps than this waiting means we've fallen behind: snap instead of gliding
+const MAX_QUEUED_STEPS = 3;
+
+// Server clock estimation
+const RESYNC_MS = 250;    // jump straight to a sample this far off (new round, seek, lag spike)
+const CLOCK_SLEW = 0.1;   // ms per ms the estimate may speed up toward early samples
+const CLOCK_DRIFT = 0.02; // ms per ms it may slow down toward late ones
+
+/**
+ * Plays an entity's tile positions back as constant-speed glides.
+ * A tile reached at time `at` becomes one step over [at, at + duration], where
+ * duration is the server's move delay. Steps that arrive while another is still
+ * playing queue behind it, so bunched patches still render at an even pace.
+ * Anything that isn't a one-tile step (spawn, respawn, a big correction) snaps.
+ */
+export class TileMotion {
+  constructor(x, y) {
+    this.snap(x, y);
+    this.steps = 0;
+  }
+
+  // Feed the entity's current tile (repeats are ignored)
+  push(x, y, at) {
+    const last = this.queue.length > 0 ? this.queue[this.queue.length - 1] : { x: this.toX, y: this.toY };
+    if (x === last.x && y === last.y) return;
+
+    const adjacent = Math.abs(x - last.x) + Math.abs(y - last.y) === 1;
+    if (!adjacent || this.queue.length >= MAX_QUEUED_STEPS || at < this.stepStart) {
+      this.snap(x, y);
+      return;
+    }
+    this.queue.push({ x, y, at });
+  }
+
+  snap(x, y) {
+    this.fromX = this.toX = x;
+    this.fromY = this.toY = y;
+    this.stepStart = this.stepEnd = -Infinity;
+    this.queue = [];
+  }
+
+  /**
+   * Position at `now` in (fractional) tiles.
+   * `frame` alternates each step while walking and rests on 0 when idle.
+   */
+  sample(now, duration) {
+    while (this.queue.length > 0 && now >= this.stepEnd) {
+      const next = this.queue.shift();
+      this.fromX = this.toX;
+      this.fromY = this.toY;
+      this.toX = next.x;
+      this.toY = next.y;
+      this.stepStart = Math.max(this.stepEnd, next.at);
+      this.stepEnd = this.stepStart + duration;
+      this.steps++;
+    }
+
+    const t = Math.min(Math.max((now - this.stepStart) / duration, 0), 1);
+    // Hold the stride briefly between back-to-back steps so walking doesn't flicker
+    const walking = now < this.stepEnd + duration / 2;
+    return {
+      x: this.fromX + (this.toX - this.fromX) * t,
+      y: this.fromY + (this.toY - this.fromY) * t,
+      frame: walking ? this.steps % 2 : 0,
+    };
+  }
+}
+
+/**
+ * Estimates the server's game clock from the tick stamp on each state patch.
+ * Leans toward the earliest-arriving patches (later ones were delayed by the
+ * network) and only ever slews, so the estimate never jumps mid-glide.
+ */
+export class ServerClock {
+  constructor() {
+    this.offset = null;
+    this.rate = 1;
+    this.lastLocal = 0;
+  }
+
+  // serverTime: game time of the latest patch; rate: game ms per local ms (replay speed, 0 when paused)
+  update(serverTime, localTime, rate = 1) {
+    const sample = serverTime - localTime * rate;
+    if (this.offset === null || rate !== this.rate || Math.abs(sample - this.offset) > RESYNC_MS) {
+      this.offset = sample;
+    } else {
+      const dt = localTime - this.lastLocal;
+      this.offset = sample > this.offset
+        ? Math.min(sample, this.offset + dt * CLOCK_SLEW)
+        : Math.max(sample, this.offset - dt * CLOCK_DRIFT);
+    }
+    this.rate = rate;
+    this.lastLocal = localTime;
+    return localTime * rate + this.offset;
+  }
+}
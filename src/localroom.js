@@ -0,0 +1,135 @@
+// localroom.js — a game room that runs entirely in the browser: the same
+// GameSimulation the server runs, stepped on a local timer, behind the slice of
+// the Colyseus Room interface GameScene uses (state, sessionId, send, onMessage,
+// onLeave, onError). Offline games are one player against bots, or hot-seat
+// players sharing the machine, each in a seat of their own.
+
+import { GameSimulation, TICK_MS } from "./simulation.js";
+import { parseSeed } from "./random.js";
+
+const LOCAL_PLAYER_ID = "local";
+
+// Seat ids: the first player is the room's sessionId, the rest follow it
+const seatId = (index) => (index === 0 ? LOCAL_PLAYER_ID : `${LOCAL_PLAYER_ID}${index + 1}`);
+
+export class LocalRoom {
+  /**
+   * options: the same room options the host panel sends to the server, plus
+   * localPlayers (default 1). Every seat is local, so the first round starts
+   * right away.
+   */
+  constructor(options) {
+    this.sessionId = LOCAL_PLAYER_ID;
+    this.roomId = "offline";
+    this.handlers = new Map();
+    this.leaveHandlers = [];
+    this.errorHandlers = [];
+    this.restartTimer = null;
+    this.restartVotes = new Set();
+
+    this.sim = new GameSimulation({ ...options, maxPlayers: parseInt(options.localPlayers) || 1 }, {
+      clock: () => Date.now(),
+      emit: (type, message) => this.dispatch(type, message),
+      onEnd: () => this.scheduleRestart(),
+    });
+    // Seats this machine plays, in seat order
+    this.seats = [];
+    for (let i = 0; i < this.sim.config.maxPlayers; i++) {
+      this.seats.push(seatId(i));
+      this.sim.addPlayer(seatId(i));
+    }
+
+    this.state = {};
+    this.sync();
+
+    this.sim.startRound({ seed: parseSeed(options.seed) });
+    this.sync();
+
+    this.interval = setInterval(() => {
+      this.sim.step();
+      this.sync();
+    }, TICK_MS);
+  }
+
+  // Mirror the simulation into `state` the way GameRoom's schema sees it: mines
+  // in their own collection, holding only the ones the local players may see
+  sync() {
+    const simState = this.sim.state;
+    const bombs = new Map();
+    const mines = new Map();
+    simState.bombs.forEach((bomb, id) => {
+      if (bomb.type !== "mine") bombs.set(id, bomb);
+      else if (this.canSeeMine(bomb)) mines.set(id, bomb);
+    });
+    Object.assign(this.state, simState, { bombs, mines, spectators: 0 });
+  }
+
+  canSeeMine(mine) {
+    if (this.seats.includes(mine.ownerId)) return true;
+    const owner = this.sim.getEntity(mine.ownerId);
+    return !!owner && this.seats.some((id) => {
+      const viewer = this.sim.state.players.get(id);
+      return !!viewer && this.sim.areAllies(owner, viewer);
+    });
+  }
+
+  scheduleRestart() {
+    this.restartTimer = setTimeout(() => this.restart(), this.sim.restartDelay());
+  }
+
+  restart() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.restartVotes = new Set();
+    this.dispatch("restartVote", { current: 0, needed: 0 });
+    this.sim.startRound();
+    this.sync();
+  }
+
+  // --- Room interface ---
+
+  send(type, message = {}) {
+    this.sendAs(this.sessionId, type, message);
+  }
+
+  // A message from one of the local seats
+  sendAs(id, type, message = {}) {
+    if (!this.seats.includes(id)) return;
+    if (type === "move") {
+      this.sim.queueInput(id, message.dir, message.seq);
+    } else if (type === "bomb" || type === "fire" || type === "detonate") {
+      this.sim.queueInput(id, type);
+    } else if (type === "restart") {
+      // Like GameRoom: every seat has to vote, so one hot-seat player can't
+      // end the round for the others
+      this.restartVotes.add(id);
+      const needed = this.seats.length;
+      this.dispatch("restartVote", { current: this.restartVotes.size, needed });
+      if (this.restartVotes.size >= needed) this.restart();
+    }
+  }
+
+  onMessage(type, callback) {
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(callback);
+  }
+
+  onLeave(callback) {
+    this.leaveHandlers.push(callback);
+  }
+
+  onError(callback) {
+    this.errorHandlers.push(callback);
+  }
+
+  dispatch(type, message) {
+    for (const callback of this.handlers.get(type) || []) callback(message);
+  }
+
+  leave() {
+    clearInterval(this.interval);
+    clearTimeout(this.restartTimer);
+    for (const callback of this.leaveHandlers) callback(1000);
+    return Promise.resolve();
+  }
+}
@@ -3,7 +3,11 @@
 import { Client } from "colyseus.js";
 import Phaser from "phaser";
 import GameScene from "./GameScene.js";
-import { TILE, GRID_PRESETS } from "./map.js";
+import EditorScene from "./EditorScene.js";
+import { LocalRoom } from "./localroom.js";
+import { TILE, GRID_PRESETS, MAX_ENTITIES, MAP_TEMPLATES } from "./map.js";
+import { isMapShape, validateMap, cleanMap, parseMapFile, exportMapFile } from "./mapfile.js";
+import { TOUCH_PANEL_HEIGHT, isTouchDevice } from "./controls.js";
 
 // DOM elements
 const lobbyDiv = document.getElementById("lobby");
@@ -12,19 +16,42 @@ const lobbyStatus = document.getElementById("lobbyStatus");
 
 // Choice screen
 const choiceScreen = document.getElementById("choiceScreen");
+const quickPlayBtn = document.getElementById("quickPlayBtn");
 const hostBtn = document.getElementById("hostBtn");
 const joinBtn = document.getElementById("joinBtn");
 
 // Host panel
 const hostPanel = document.getElementById("hostPanel");
 const gridSizeSelect = document.getElementById("gridSize");
+const maxPlayersSelect = document.getElementById("maxPlayers");
 const botCountSelect = document.getElementById("botCount");
 const botDifficultySelect = document.getElementById("botDifficulty");
 const gameModeSelect = document.getElementById("gameMode");
 const startingLivesSelect = document.getElementById("startingLives");
 const killTargetSelect = document.getElementById("killTarget");
+const captureTargetSelect = document.getElementById("captureTarget");
+const holdTargetSelect = document.getElementById("holdTarget");
+const timeLimitSelect = document.getElementById("timeLimit");
+const suddenDeathSelect = document.getElementById("suddenDeath");
+const suddenDeathLabel = document.getElementById("suddenDeathLabel");
+const tieBreakSelect = document.getElementById("tieBreak");
+const tieBreakLabel = document.getElementById("tieBreakLabel");
+const seriesSelect = document.getElementById("series");
+const teamsSelect = document.getElementById("teams");
+const friendlyFireSelect = document.getElementById("friendlyFire");
+const friendlyFireLabel = document.getElementById("friendlyFireLabel");
+const mapSeedInput = document.getElementById("mapSeed");
+const mapSourceSelect = document.getElementById("mapSource");
+const localPlayersSelect = document.getElementById("localPlayers");
+const mapTemplateSelect = document.getElementById("mapTemplate");
+const mapTemplateLabel = document.getElementById("mapTemplateLabel");
+const blockDensitySelect = document.getElementById("blockDensity");
+const blockDensityLabel = document.getElementById("blockDensityLabel");
+const roomVisibilitySelect = document.getElementById("roomVisibility");
 const livesLabel = document.getElementById("livesLabel");
 const killsLabel = document.getElementById("killsLabel");
+const capturesLabel = document.getElementById("capturesLabel");
+const holdLabel = document.getElementById("holdLabel");
 const roomCodeDisplay = document.getElementById("roomCodeDisplay");
 const copyCodeBtn = document.getElementById("copyCodeBtn");
 const hostBackBtn = document.getElementById("hostBackBtn");
@@ -33,12 +60,52 @@ const hostBackBtn = document.getElementById("hostBackBtn");
 const joinPanel = document.getElementById("joinPanel");
 const roomCodeInput = document.getElementById("roomCode");
 const joinSubmitBtn = document.getElementById("joinSubmitBtn");
+const spectateBtn = document.getElementById("spectateBtn");
+const roomList = document.getElementById("roomList");
+const refreshRoomsBtn = document.getElementById("refreshRoomsBtn");
 const joinBackBtn = document.getElementById("joinBackBtn");
 
+// Replay panel
+const replayBtn = document.getElementById("replayBtn");
+const replayPanel = document.getElementById("replayPanel");
+const replayList = document.getElementById("replayList");
+const replayBackBtn = document.getElementById("replayBackBtn");
+
+// Map editor
+const editorBtn = document.getElementById("editorBtn");
+
 const protocol = window.location.protocol === "https:" ? "wss" : "ws";
 const serverUrl = import.meta.env.DEV
   ? `${protocol}://${window.location.hostname}:2567`
   : `${protocol}://${window.location.host}`;
+const httpUrl = serverUrl.replace(/^ws/, "http");
+
+// The editor's work in progress lives in localStorage between visits
+const EDITOR_DRAFT_KEY = "bomit_editor_map";
+
+// Reconnection — the token lives in sessionStorage so it survives a refresh of this tab.
+// Retries span the server's 30s seat hold.
+const RECONNECT_KEY = "bomit_reconnect";
+const RECONNECT_ATTEMPTS = 15;
+const RECONNECT_INTERVAL = 2000;
+
+// How the room browser names each team setup
+const TEAM_LABELS = { alternate: "teams", humans: "players vs bots" };
+
+// Rooms Quick Play creates when no public room has a free seat
+const QUICK_PLAY_SETTINGS = {
+  gridSize: "medium",
+  maxPlayers: 2,
+  botCount: 1,
+  botDifficulty: "medium",
+  gameMode: "classic",
+};
+
+let game = null;
+// Custom map for the next hosted room (null = random maps)
+let customMap = null;
+let pageUnloading = false;
+window.addEventListener("pagehide", () => { pageUnloading = true; });
 
 function generateRoomCode() {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ";
@@ -53,17 +120,76 @@ function showPanel(panel) {
   choiceScreen.style.display = "none";
   hostPanel.style.display = "none";
   joinPanel.style.display = "none";
+  replayPanel.style.display = "none";
   lobbyStatus.textContent = "";
   if (panel === "host") hostPanel.style.display = "block";
   else if (panel === "join") joinPanel.style.display = "block";
+  else if (panel === "replay") replayPanel.style.display = "block";
   else choiceScreen.style.display = "flex";
 }
 
 // Game mode dropdown toggling
 gameModeSelect.addEventListener("change", () => {
   const mode = gameModeSelect.value;
-  livesLabel.style.display = mode === "lives" ? "" : "none";
+  livesLabel.style.display = mode === "lives" || mode === "campaign" ? "" : "none";
   killsLabel.style.display = mode === "kills" ? "" : "none";
+  capturesLabel.style.display = mode === "ctf" ? "" : "none";
+  holdLabel.style.display = mode === "koth" ? "" : "none";
+});
+
+// Sudden death and the tie-break only matter in timed rounds
+timeLimitSelect.addEventListener("change", () => {
+  const timed = timeLimitSelect.value !== "0";
+  suddenDeathLabel.style.display = timed ? "" : "none";
+  tieBreakLabel.style.display = timed ? "" : "none";
+});
+
+teamsSelect.addEventListener("change", () => {
+  friendlyFireLabel.style.display = teamsSelect.value !== "off" ? "" : "none";
+});
+
+// Every player and bot needs its own spawn slot, so cap players and bots by
+// the slots there are (a custom map has as many as it has spawns)
+function capSeatsBySlots() {
+  const slots = customMap ? customMap.spawns.length : MAX_ENTITIES;
+  for (const option of maxPlayersSelect.options) {
+    option.disabled = parseInt(option.value, 10) > slots;
+  }
+  if (parseInt(maxPlayersSelect.value, 10) > slots) {
+    maxPlayersSelect.value = String(slots);
+  }
+
+  const freeSlots = slots - parseInt(maxPlayersSelect.value, 10);
+  for (const option of botCountSelect.options) {
+    option.disabled = parseInt(option.value, 10) > freeSlots;
+  }
+  if (parseInt(botCountSelect.value, 10) > freeSlots) {
+    botCountSelect.value = String(freeSlots);
+  }
+}
+
+maxPlayersSelect.addEventListener("change", capSeatsBySlots);
+
+// A custom map sets its own size; pick one from a file, or keep the editor's
+function useCustomMap(map) {
+  customMap = map;
+  mapSourceSelect.value = map ? "custom" : "random";
+  mapSourceSelect.options[1].textContent = map ? `Custom: ${map.name} (${map.cols}x${map.rows})` : "Custom map file...";
+  gridSizeSelect.disabled = !!map;
+  mapTemplateLabel.style.display = map ? "none" : "";
+  blockDensityLabel.style.display = map ? "none" : "";
+  capSeatsBySlots();
+}
+
+mapSourceSelect.addEventListener("change", async () => {
+  if (mapSourceSelect.value === "random") {
+    useCustomMap(null);
+    return;
+  }
+  const map = await pickMapFile();
+  const errors = map ? validateMap(map) : [];
+  if (errors.length > 0) lobbyStatus.textContent = `Can't host on that map: ${errors[0]}`;
+  useCustomMap(map && errors.length === 0 ? map : customMap);
 });
 
 // Host flow — show config panel first, don't create room yet
@@ -83,6 +209,22 @@ startHostBtn.addEventListener("click", () => {
   }
 });
 
+// Play vs Bots — a private room with just this player's seat, on the same settings
+const soloBtn = document.getElementById("soloBtn");
+soloBtn.addEventListener("click", () => {
+  startHostBtn.disabled = true;
+  soloBtn.disabled = true;
+  hostGame(generateRoomCode(), { solo: true });
+});
+
+// Play Offline — run in the browser with no server at all: solo against the
+// bots, or hot seat with a seat (and a set of keys) per player at this machine
+const offlineBtn = document.getElementById("offlineBtn");
+offlineBtn.addEventListener("click", () => {
+  const room = new LocalRoom({ ...hostOptions(), localPlayers: parseInt(localPlayersSelect.value, 10) });
+  startPhaserGame(room, customMap ? null : gridSizeSelect.value);
+});
+
 copyCodeBtn.addEventListener("click", () => {
   const code = roomCodeDisplay.textContent;
   navigator.clipboard.writeText(code).then(() => {
@@ -93,27 +235,53 @@ copyCodeBtn.addEventListener("click", () => {
 
 hostBackBtn.addEventListener("click", () => showPanel("choice"));
 joinBackBtn.addEventListener("click", () => showPanel("choice"));
+replayBackBtn.addEventListener("click", () => showPanel("choice"));
 
-async function hostGame(roomCode) {
+// Room options from the host panel's settings
+function hostOptions() {
+  return {
+    gridSize: gridSizeSelect.value,
+    ...(customMap && { customMap }),
+    mapTemplate: mapTemplateSelect.value,
+    blockDensity: parseInt(blockDensitySelect.value, 10),
+    maxPlayers: parseInt(maxPlayersSelect.value, 10),
+    botCount: parseInt(botCountSelect.value, 10),
+    botDifficulty: botDifficultySelect.value,
+    gameMode: gameModeSelect.value,
+    startingLives: parseInt(startingLivesSelect.value, 10),
+    killTarget: parseInt(killTargetSelect.value, 10),
+    captureTarget: parseInt(captureTargetSelect.value, 10),
+    holdTarget: parseInt(holdTargetSelect.value, 10),
+    timeLimit: parseInt(timeLimitSelect.value, 10),
+    suddenDeath: suddenDeathSelect.value,
+    tieBreak: tieBreakSelect.value,
+    series: parseInt(seriesSelect.value, 10),
+    teams: teamsSelect.value,
+    friendlyFire: friendlyFireSelect.value === "on",
+    seed: mapSeedInput.value.trim(),
+  };
+}
+
+async function hostGame(roomCode, { solo = false } = {}) {
   lobbyStatus.textContent = "Creating room...";
 
   try {
     const client = new Client(serverUrl);
     const room = await client.create("game", {
+      ...hostOptions(),
       roomCode,
-      gridSize: gridSizeSelect.value,
-      botCount: parseInt(botCountSelect.value, 10),
-      botDifficulty: botDifficultySelect.value,
-      gameMode: gameModeSelect.value,
-      startingLives: parseInt(startingLivesSelect.value, 10),
-      killTarget: parseInt(killTargetSelect.value, 10),
+      ...(solo && { maxPlayers: 1 }),
+      public: !solo && roomVisibilitySelect.value === "public",
     });
 
-    lobbyStatus.textContent = "Waiting for opponent...";
-    startPhaserGame(room, gridSizeSelect.value);
+    lobbyStatus.textContent = solo ? "" : "Waiting for players...";
+    watchConnection(client, room);
+    startPhaserGame(room, customMap ? null : gridSizeSelect.value);
   } catch (err) {
     console.error("Host error:", err);
     lobbyStatus.textContent = `Error: ${err.message}`;
+    startHostBtn.disabled = false;
+    soloBtn.disabled = false;
   }
 }
 
@@ -122,14 +290,17 @@ joinBtn.addEventListener("click", () => {
   showPanel("join");
   roomCodeInput.value = "";
   roomCodeInput.focus();
+  refreshRoomList();
 });
 
-joinSubmitBtn.addEventListener("click", joinGame);
+joinSubmitBtn.addEventListener("click", () => joinGame());
+spectateBtn.addEventListener("click", () => joinGame({ spectate: true }));
 roomCodeInput.addEventListener("keydown", (e) => {
   if (e.key === "Enter") joinGame();
 });
 
-async function joinGame() {
+// Spectators watch without a seat; a full room also seats late joiners as spectators
+async function joinGame({ spectate = false } = {}) {
   const roomCode = roomCodeInput.value.trim().toUpperCase();
   if (!roomCode) {
     lobbyStatus.textContent = "Enter a room code!";
@@ -137,34 +308,215 @@ async function joinGame() {
   }
 
   joinSubmitBtn.disabled = true;
+  spectateBtn.disabled = true;
   lobbyStatus.textContent = "Connecting...";
 
   try {
     const client = new Client(serverUrl);
-    const room = await client.join("game", { roomCode });
+    const room = await client.join("game", { roomCode, spectate });
 
-    lobbyStatus.textContent = "Joined! Waiting for game...";
+    lobbyStatus.textContent = spectate ? "Spectating..." : "Joined! Waiting for game...";
+    watchConnection(client, room);
     // Joiner doesn't know grid size — use a generous default, GameScene will resize
     startPhaserGame(room, null);
   } catch (err) {
     console.error("Join error:", err);
     lobbyStatus.textContent = `Error: ${err.message}`;
     joinSubmitBtn.disabled = false;
+    spectateBtn.disabled = false;
+  }
+}
+
+// Room browser — public rooms from the server, click one to join (or spectate a full one)
+refreshRoomsBtn.addEventListener("click", refreshRoomList);
+
+async function fetchRooms() {
+  const res = await fetch(`${httpUrl}/api/rooms`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+async function refreshRoomList() {
+  roomList.textContent = "";
+  lobbyStatus.textContent = "Loading rooms...";
+
+  try {
+    const rooms = await fetchRooms();
+    lobbyStatus.textContent = rooms.length ? "" : "No public rooms — host one or use Quick Play.";
+
+    for (const r of rooms) {
+      const state = r.open ? "waiting" : r.status === "lobby" ? "full" : "in game";
+      const watching = r.spectators > 0 ? `, ${r.spectators} watching` : "";
+      const teams = r.teams && r.teams !== "off" ? ` (${TEAM_LABELS[r.teams]})` : "";
+      const series = r.series > 1 ? `, best of ${r.series}` : "";
+      const layout = !r.mapName && MAP_TEMPLATES[r.mapTemplate] && r.mapTemplate !== "classic"
+        ? ` ${MAP_TEMPLATES[r.mapTemplate].name.toLowerCase()}` : "";
+      const btn = document.createElement("button");
+      btn.textContent = `${r.roomCode} — ${r.players}/${r.maxPlayers} players + ${r.bots} ${r.botDifficulty} bots, ${r.gameMode}${teams}${series}, ${r.mapName || r.gridSize}${layout} — ${state}${watching}`;
+      btn.addEventListener("click", () => {
+        roomCodeInput.value = r.roomCode;
+        joinGame();
+      });
+      roomList.appendChild(btn);
+    }
+  } catch (err) {
+    console.error("Room list error:", err);
+    lobbyStatus.textContent = `Error: ${err.message}`;
+  }
+}
+
+// Quick Play — take a free seat in the fullest open public room, or start a new public room
+quickPlayBtn.addEventListener("click", quickPlay);
+
+async function quickPlay() {
+  quickPlayBtn.disabled = true;
+  lobbyStatus.textContent = "Finding a room...";
+
+  try {
+    const client = new Client(serverUrl);
+    const rooms = (await fetchRooms()).filter((r) => r.open);
+
+    // Seats can fill between listing and joining, so fall through to the next room
+    for (const r of rooms) {
+      try {
+        const room = await client.join("game", { roomCode: r.roomCode, quickPlay: true });
+        lobbyStatus.textContent = "Joined! Waiting for game...";
+        watchConnection(client, room);
+        startPhaserGame(room, r.gridSize);
+        return;
+      } catch (err) {
+        console.warn(`Quick Play: room ${r.roomCode} unavailable:`, err.message);
+      }
+    }
+
+    const room = await client.create("game", { ...QUICK_PLAY_SETTINGS, roomCode: generateRoomCode(), public: true });
+    lobbyStatus.textContent = "Waiting for players...";
+    watchConnection(client, room);
+    startPhaserGame(room, QUICK_PLAY_SETTINGS.gridSize);
+  } catch (err) {
+    console.error("Quick Play error:", err);
+    lobbyStatus.textContent = `Error: ${err.message}`;
+    quickPlayBtn.disabled = false;
   }
 }
 
-function startPhaserGame(room, gridSize) {
+// Replay flow — list saved matches, then watch one in a replay room
+replayBtn.addEventListener("click", async () => {
+  showPanel("replay");
+  replayList.textContent = "";
+  lobbyStatus.textContent = "Loading replays...";
+
+  try {
+    const res = await fetch(`${httpUrl}/api/replays`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const replays = await res.json();
+    lobbyStatus.textContent = replays.length ? "" : "No replays yet — finish a match first.";
+
+    for (const r of replays) {
+      const secs = Math.round(r.durationMs / 1000);
+      const btn = document.createElement("button");
+      btn.textContent = `${new Date(r.recordedAt).toLocaleString()} — ${r.players}P + ${r.bots} bots, ${r.gameMode}, ${r.gridSize}, ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")} — ${r.result}`;
+      btn.addEventListener("click", () => watchReplay(r));
+      replayList.appendChild(btn);
+    }
+  } catch (err) {
+    console.error("Replay list error:", err);
+    lobbyStatus.textContent = `Error: ${err.message}`;
+  }
+});
+
+async function watchReplay(replay) {
+  lobbyStatus.textContent = "Loading replay...";
+
+  try {
+    const client = new Client(serverUrl);
+    const room = await client.create("replay", { replayId: replay.id });
+    startPhaserGame(room, replay.gridSize, { replay: true });
+  } catch (err) {
+    console.error("Replay error:", err);
+    lobbyStatus.textContent = `Error: ${err.message}`;
+  }
+}
+
+// Reconnect flow — remember the room's token, and rejoin when the connection drops
+function watchConnection(client, room) {
+  sessionStorage.setItem(RECONNECT_KEY, room.reconnectionToken);
+
+  room.onLeave((code) => {
+    // On refresh the saved token is picked up again after the reload
+    if (pageUnloading) return;
+    // 1000: normal close, 4000: left on purpose — nothing to rejoin
+    if (code === 1000 || code === 4000) {
+      sessionStorage.removeItem(RECONNECT_KEY);
+      return;
+    }
+    rejoin(client, room.reconnectionToken).then((ok) => {
+      if (!ok) returnToLobby("Connection lost — could not rejoin the match.");
+    });
+  });
+}
+
+async function rejoin(client, token, attempts = RECONNECT_ATTEMPTS) {
+  for (let i = 0; i < attempts; i++) {
+    try {
+      const room = await client.reconnect(token);
+      watchConnection(client, room);
+      startPhaserGame(room, null);
+      return true;
+    } catch (err) {
+      console.warn(`Reconnect attempt ${i + 1}/${attempts} failed:`, err.message);
+      if (i < attempts - 1) await new Promise((resolve) => setTimeout(resolve, RECONNECT_INTERVAL));
+    }
+  }
+  sessionStorage.removeItem(RECONNECT_KEY);
+  return false;
+}
+
+function returnToLobby(message) {
+  if (game) {
+    game.destroy(true);
+    game = null;
+  }
+  gameContainer.style.display = "none";
+  lobbyDiv.style.display = "";
+  startHostBtn.disabled = false;
+  soloBtn.disabled = false;
+  quickPlayBtn.disabled = false;
+  joinSubmitBtn.disabled = false;
+  spectateBtn.disabled = false;
+  showPanel("choice");
+  lobbyStatus.textContent = message;
+}
+
+// Rejoin the match this tab was in before a refresh (a few tries while the server notices the drop)
+const savedToken = sessionStorage.getItem(RECONNECT_KEY);
+if (savedToken) {
+  lobbyStatus.textContent = "Rejoining your match...";
+  rejoin(new Client(serverUrl), savedToken, 3).then((ok) => {
+    if (!ok) lobbyStatus.textContent = "";
+  });
+}
+
+function startPhaserGame(room, gridSize, sceneData = {}) {
   lobbyDiv.style.display = "none";
   gameContainer.style.display = "block";
 
   // Use known preset or generous default for joiners
   const preset = gridSize ? (GRID_PRESETS[gridSize] || GRID_PRESETS.medium) : GRID_PRESETS.xl;
+  // A reconnect replaces the running game with one bound to the new room
+  // Touch devices get the on-screen controls' panel under the HUD
+  createGame(preset.cols * TILE, preset.rows * TILE + 40 + (isTouchDevice() ? TOUCH_PANEL_HEIGHT : 0));
+  game.scene.add("GameScene", GameScene, true, { room, ...sceneData });
+}
+
+function createGame(width, height) {
   const config = {
     type: Phaser.AUTO,
-    width: preset.cols * TILE,
-    height: preset.rows * TILE + 40,
+    width,
+    height,
     backgroundColor: "#222222",
     parent: "gameContainer",
+    input: { gamepad: true },
     scale: {
       mode: Phaser.Scale.FIT,
       autoCenter: Phaser.Scale.CENTER_BOTH,
@@ -172,6 +524,82 @@ function startPhaserGame(room, gridSize) {
     scene: [],
   };
 
-  const game = new Phaser.Game(config);
-  game.scene.add("GameScene", GameScene, true, { room });
+  if (game) game.destroy(true);
+  game = new Phaser.Game(config);
+}
+
+// ── Map editor ──────────────────────────────────────────────────────────────
+
+editorBtn.addEventListener("click", openEditor);
+
+function openEditor() {
+  lobbyDiv.style.display = "none";
+  gameContainer.style.display = "block";
+
+  // Pick up where the last session left off
+  let draft = null;
+  try {
+    draft = JSON.parse(localStorage.getItem(EDITOR_DRAFT_KEY));
+  } catch {
+    draft = null;
+  }
+
+  createGame(640, 11 * TILE + 150);
+  game.scene.add("EditorScene", EditorScene, true, {
+    map: isMapShape(draft) ? cleanMap(draft) : null,
+    onChange: (map) => localStorage.setItem(EDITOR_DRAFT_KEY, JSON.stringify(map)),
+    onImport: pickMapFile,
+    onExport: downloadMapFile,
+    onHost: (map) => {
+      closeEditor();
+      useCustomMap(cleanMap(map));
+      showPanel("host");
+    },
+    onExit: closeEditor,
+  });
+}
+
+function closeEditor() {
+  if (game) game.destroy(true);
+  game = null;
+  gameContainer.style.display = "none";
+  lobbyDiv.style.display = "";
+  showPanel("choice");
+}
+
+/**
+ * Let the player choose a map file. Resolves to the map (which may still have
+ * problems for validateMap to report) or null if cancelled or unreadable.
+ */
+function pickMapFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      const { map, errors } = parseMapFile(await file.text());
+      if (!map) alert(`Couldn't open ${file.name}: ${errors[0]}`);
+      resolve(map);
+    });
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
+
+function downloadMapFile(map) {
+  const name = prompt("Map name", map.name);
+  if (name === null) return;
+  map.name = name.trim() || map.name;
+
+  const blob = new Blob([exportMapFile(map)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${map.name.replace(/[^\w-]+/g, "_").toLowerCase()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
 }
@@ -21,6 +21,32 @@ export const BLOCK = 2;
 export const POWERUP_FLAMETHROWER = 3;
 export const POWERUP_RAYGUN = 4;
 export const POWERUP_SHIELD = 5;
+// Stat powerups: permanent for the rest of the life
+export const POWERUP_BOMB_UP = 6;
+export const POWERUP_FIRE_UP = 7;
+export const POWERUP_SPEED_UP = 8;
+// Bomb handling abilities: kick (walk into a bomb to send it sliding), glove (throw the bomb underfoot)
+export const POWERUP_KICK = 9;
+export const POWERUP_GLOVE = 10;
+// Bomb types: the entity's bombs become remote, pierce, mine or cluster bombs
+export const POWERUP_REMOTE = 11;
+export const POWERUP_PIERCE = 12;
+export const POWERUP_MINE = 13;
+export const POWERUP_CLUSTER = 14;
+// Campaign stage exit, hidden under a block; opens once every monster is dead
+export const EXIT = 15;
+
+// Bomb type each bomb-type powerup grants
+export const POWERUP_BOMB_TYPES = {
+  [POWERUP_REMOTE]: "remote",
+  [POWERUP_PIERCE]: "pierce",
+  [POWERUP_MINE]: "mine",
+  [POWERUP_CLUSTER]: "cluster",
+};
+
+export function isPowerupTile(tile) {
+  return tile >= POWERUP_FLAMETHROWER && tile <= POWERUP_CLUSTER;
+}
 
 // Colors for rendering
 export const TILE_COLORS = {
@@ -30,25 +56,71 @@ export const TILE_COLORS = {
   [POWERUP_FLAMETHROWER]: 0xff6600,
   [POWERUP_RAYGUN]: 0x00ccff,
   [POWERUP_SHIELD]: 0x44ff44,
+  [POWERUP_BOMB_UP]: 0x8888ff,
+  [POWERUP_FIRE_UP]: 0xff3333,
+  [POWERUP_SPEED_UP]: 0xffee44,
+  [POWERUP_KICK]: 0xcc66ff,
+  [POWERUP_GLOVE]: 0xff88cc,
+  [POWERUP_REMOTE]: 0x4466ff,
+  [POWERUP_PIERCE]: 0x44ffff,
+  [POWERUP_MINE]: 0x888844,
+  [POWERUP_CLUSTER]: 0xff8800,
+  [EXIT]: 0x225544,
 };
 
+// Relative odds of each powerup type (hidden under blocks and late-game drops).
+// Stat powerups are the common finds; weapons and the shield stay rare.
+const POWERUP_WEIGHTS = [
+  [POWERUP_FLAMETHROWER, 1],
+  [POWERUP_RAYGUN, 1],
+  [POWERUP_SHIELD, 1],
+  [POWERUP_BOMB_UP, 4],
+  [POWERUP_FIRE_UP, 4],
+  [POWERUP_SPEED_UP, 4],
+  [POWERUP_KICK, 1],
+  [POWERUP_GLOVE, 1],
+  [POWERUP_REMOTE, 1],
+  [POWERUP_PIERCE, 1],
+  [POWERUP_MINE, 1],
+  [POWERUP_CLUSTER, 1],
+];
+const POWERUP_WEIGHT_TOTAL = POWERUP_WEIGHTS.reduce((sum, [, w]) => sum + w, 0);
+
+// Weighted random powerup type; uses exactly one rng() draw
+export function pickPowerup(rng = Math.random) {
+  let roll = rng() * POWERUP_WEIGHT_TOTAL;
+  for (const [type, weight] of POWERUP_WEIGHTS) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return POWERUP_WEIGHTS[POWERUP_WEIGHTS.length - 1][0];
+}
+
+// Maximum entities (players + NPCs) a room can hold — one per spawn slot
+export const MAX_ENTITIES = 8;
+
 /**
  * Compute spawn positions for a given grid size.
- * Players get corners (top-left, bottom-right).
- * NPCs get remaining corners then mid-edges.
+ * Slots are corners first (top-left, bottom-right, top-right, bottom-left),
+ * then mid-edges, unless a custom map brings its own `slots`. The first
+ * `playerCount` slots go to players, NPCs get the rest.
  */
-export function computeSpawns(cols, rows) {
+export function computeSpawns(cols, rows, playerCount = 2, slots = null) {
+  const midX = Math.floor(cols / 2);
+  const midY = Math.floor(rows / 2);
+  slots = slots || [
+    { x: 1, y: 1 },
+    { x: cols - 2, y: rows - 2 },
+    { x: cols - 2, y: 1 },
+    { x: 1, y: rows - 2 },
+    { x: midX, y: 1 },
+    { x: midX, y: rows - 2 },
+    { x: 1, y: midY },
+    { x: cols - 2, y: midY },
+  ];
   return {
-    players: [
-      { x: 1, y: 1 },
-      { x: cols - 2, y: rows - 2 },
-    ],
-    npcs: [
-      { x: cols - 2, y: 1 },
-      { x: 1, y: rows - 2 },
-      { x: Math.floor(cols / 2), y: 1 },
-      { x: Math.floor(cols / 2), y: rows - 2 },
-    ],
+    players: slots.slice(0, playerCount),
+    npcs: slots.slice(playerCount),
   };
 }
 
@@ -67,13 +139,173 @@ function clearSpawnArea(grid, sx, sy, cols, rows) {
   }
 }
 
+const STEPS = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+
+const isInterior = (x, y, cols, rows) => x > 0 && y > 0 && x < cols - 1 && y < rows - 1;
+
+// --- Layout templates ---
+// Each lays the interior walls of a bordered, otherwise empty grid. generateMap
+// then scatters blocks over the floor, clears the spawn slots and connects them.
+
+// The classic pillar on every even/even tile
+function layPillars(grid, cols, rows) {
+  for (let y = 2; y < rows - 1; y += 2) {
+    for (let x = 2; x < cols - 1; x += 2) grid[y][x] = WALL;
+  }
+}
+
+// Corridors: a random maze over the odd/odd tiles, with some of the dividers
+// knocked through so there are loops to escape a bomb along
+function layMaze(grid, cols, rows, rng) {
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < cols - 1; x++) grid[y][x] = WALL;
+  }
+
+  grid[1][1] = EMPTY;
+  const stack = [{ x: 1, y: 1 }];
+  while (stack.length > 0) {
+    const cell = stack[stack.length - 1];
+    const next = STEPS
+      .map(({ dx, dy }) => ({ x: cell.x + 2 * dx, y: cell.y + 2 * dy, dx, dy }))
+      .filter((n) => isInterior(n.x, n.y, cols, rows) && grid[n.y][n.x] === WALL);
+    if (next.length === 0) {
+      stack.pop();
+      continue;
+    }
+    const n = next[Math.floor(rng() * next.length)];
+    grid[cell.y + n.dy][cell.x + n.dx] = EMPTY;
+    grid[n.y][n.x] = EMPTY;
+    stack.push({ x: n.x, y: n.y });
+  }
+
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < cols - 1; x++) {
+      if (grid[y][x] === WALL && (x + y) % 2 === 1 && rng() < 0.35) grid[y][x] = EMPTY;
+    }
+  }
+}
+
+// Organic caverns: random rock smoothed by a few cellular automaton passes
+function layCave(grid, cols, rows, rng) {
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < cols - 1; x++) grid[y][x] = rng() < 0.45 ? WALL : EMPTY;
+  }
+
+  for (let pass = 0; pass < 4; pass++) {
+    const before = grid.map((row) => [...row]);
+    for (let y = 1; y < rows - 1; y++) {
+      for (let x = 1; x < cols - 1; x++) {
+        let walls = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if ((dx || dy) && before[y + dy][x + dx] === WALL) walls++;
+          }
+        }
+        if (walls > 4) grid[y][x] = WALL;
+        else if (walls < 4) grid[y][x] = EMPTY;
+      }
+    }
+  }
+}
+
+/**
+ * Map layout templates, keyed by the id rooms are configured with.
+ * symmetric: blocks and hidden powerups are mirrored across both axes, so
+ * every corner (and every mid-edge) slot starts with the same surroundings
+ */
+export const MAP_TEMPLATES = {
+  classic: { name: "Classic", layWalls: layPillars },
+  symmetric: { name: "Symmetric", layWalls: layPillars, symmetric: true },
+  maze: { name: "Maze", layWalls: layMaze },
+  open: { name: "Open arena", layWalls: () => {} },
+  cave: { name: "Cave", layWalls: layCave },
+};
+
+// Share of the open floor that starts as blocks
+export const DEFAULT_BLOCK_DENSITY = 0.6;
+
+// The tile mirrored into the top-left quarter; symmetric templates roll it and copy it out
+function mirrorSource(x, y, cols, rows) {
+  return { x: Math.min(x, cols - 1 - x), y: Math.min(y, rows - 1 - y) };
+}
+
+// Which tiles can be walked to from (sx, sy) once every block is gone
+function floodFrom(grid, sx, sy, cols, rows) {
+  const reached = grid.map((row) => row.map(() => false));
+  reached[sy][sx] = true;
+  const queue = [{ x: sx, y: sy }];
+  for (let i = 0; i < queue.length; i++) {
+    for (const { dx, dy } of STEPS) {
+      const x = queue[i].x + dx;
+      const y = queue[i].y + dy;
+      if (isInterior(x, y, cols, rows) && !reached[y][x] && grid[y][x] !== WALL) {
+        reached[y][x] = true;
+        queue.push({ x, y });
+      }
+    }
+  }
+  return reached;
+}
+
+/**
+ * Make every spawn slot reachable from the first once blocks are cleared:
+ * tunnel through the walls from any slot that's cut off to the nearest tile
+ * that isn't, then wall up floor no slot can reach, so nothing (hills, exits,
+ * drops) lands in a sealed pocket.
+ */
+function connectSlots(grid, slots, cols, rows) {
+  let reached = floodFrom(grid, slots[0].x, slots[0].y, cols, rows);
+  for (const slot of slots) {
+    if (reached[slot.y][slot.x]) continue;
+
+    const from = grid.map((row) => row.map(() => null));
+    from[slot.y][slot.x] = slot;
+    const queue = [slot];
+    let end = null;
+    for (let i = 0; i < queue.length && !end; i++) {
+      for (const { dx, dy } of STEPS) {
+        const x = queue[i].x + dx;
+        const y = queue[i].y + dy;
+        if (!isInterior(x, y, cols, rows) || from[y][x]) continue;
+        from[y][x] = queue[i];
+        if (reached[y][x]) {
+          end = { x, y };
+          break;
+        }
+        queue.push({ x, y });
+      }
+    }
+
+    for (let tile = end; tile !== slot; tile = from[tile.y][tile.x]) {
+      if (grid[tile.y][tile.x] === WALL) grid[tile.y][tile.x] = EMPTY;
+    }
+    if (grid[slot.y][slot.x] === WALL) grid[slot.y][slot.x] = EMPTY;
+    reached = floodFrom(grid, slots[0].x, slots[0].y, cols, rows);
+  }
+
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < cols - 1; x++) {
+      if (!reached[y][x]) grid[y][x] = WALL;
+    }
+  }
+}
+
 /**
  * Generate a Bomberman-style map of arbitrary size.
  * Returns { grid, hiddenPowerups }.
  * - grid: 2D array of tile types
  * - hiddenPowerups: 2D array of powerup types hidden under blocks (0 = none)
+ * Pass a seeded `rng` (see random.js) to make the layout reproducible.
+ * options.template: key of MAP_TEMPLATES (default classic)
+ * options.blockDensity: share of the floor that starts as blocks (default 0.6)
+ * options.exit: hide a campaign EXIT under one block, away from the spawn corners
+ * options.custom: lay out a custom map (see mapfile.js) instead of a random one;
+ *   its blocks still hide random powerups
  */
-export function generateMap(cols = COLS, rows = ROWS) {
+export function generateMap(cols = COLS, rows = ROWS, rng = Math.random, options = {}) {
+  const custom = options.custom;
+  const template = MAP_TEMPLATES[options.template] || MAP_TEMPLATES.classic;
+  const density = options.blockDensity ?? DEFAULT_BLOCK_DENSITY;
   const grid = [];
   const hiddenPowerups = [];
 
@@ -81,12 +313,10 @@ export function generateMap(cols = COLS, rows = ROWS) {
     const row = [];
     const pRow = [];
     for (let x = 0; x < cols; x++) {
-      if (x === 0 || x === cols - 1 || y === 0 || y === rows - 1) {
-        row.push(WALL);
-      } else if (x % 2 === 0 && y % 2 === 0) {
-        row.push(WALL);
+      if (custom) {
+        row.push(custom.tiles[y][x]);
       } else {
-        row.push(Math.random() < 0.6 ? BLOCK : EMPTY);
+        row.push(isInterior(x, y, cols, rows) ? EMPTY : WALL);
       }
       pRow.push(0);
     }
@@ -94,20 +324,69 @@ export function generateMap(cols = COLS, rows = ROWS) {
     hiddenPowerups.push(pRow);
   }
 
-  // Clear all possible spawn areas (2 players + 4 NPCs)
-  const spawns = computeSpawns(cols, rows);
-  for (const s of [...spawns.players, ...spawns.npcs]) {
-    clearSpawnArea(grid, s.x, s.y, cols, rows);
+  const spawns = computeSpawns(cols, rows, 2, custom && custom.spawns);
+  const slots = [...spawns.players, ...spawns.npcs];
+
+  // Custom maps are validated to leave every spawn room of their own
+  if (!custom) {
+    template.layWalls(grid, cols, rows, rng);
+
+    for (let y = 1; y < rows - 1; y++) {
+      for (let x = 1; x < cols - 1; x++) {
+        if (grid[y][x] !== EMPTY) continue;
+        const source = mirrorSource(x, y, cols, rows);
+        if (template.symmetric && (source.x !== x || source.y !== y)) {
+          grid[y][x] = grid[source.y][source.x] === BLOCK ? BLOCK : EMPTY;
+        } else if (rng() < density) {
+          grid[y][x] = BLOCK;
+        }
+      }
+    }
+
+    // Clear every spawn slot so any player/NPC split has room to move
+    for (const s of slots) {
+      clearSpawnArea(grid, s.x, s.y, cols, rows);
+    }
+    connectSlots(grid, slots, cols, rows);
   }
 
-  // Hide powerups under ~15% of blocks
-  const powerupTypes = [POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD];
+  // Hide powerups under ~25% of blocks
   for (let y = 0; y < rows; y++) {
     for (let x = 0; x < cols; x++) {
-      if (grid[y][x] === BLOCK && Math.random() < 0.15) {
-        hiddenPowerups[y][x] = powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
+      if (grid[y][x] !== BLOCK) continue;
+      const source = mirrorSource(x, y, cols, rows);
+      if (!custom && template.symmetric && (source.x !== x || source.y !== y)) {
+        hiddenPowerups[y][x] = hiddenPowerups[source.y][source.x];
+      } else if (rng() < 0.25) {
+        hiddenPowerups[y][x] = pickPowerup(rng);
+      }
+    }
+  }
+
+  if (options.exit) {
+    const candidates = [];
+    const floor = [];
+    const nearBlocks = [];
+    const spawnTiles = [];
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const distance = Math.min(...slots.map((s) => Math.abs(s.x - x) + Math.abs(s.y - y)));
+        if (grid[y][x] === BLOCK) (distance >= 3 ? candidates : nearBlocks).push({ x, y });
+        if (grid[y][x] === EMPTY) (distance >= 1 ? floor : spawnTiles).push({ x, y, distance });
       }
     }
+    // The campaign can only be cleared through the exit, so every map gets one.
+    // Without blocks to spare it goes out in the open (as far from the spawns
+    // as the floor allows), then under a block near a spawn, and on a map with
+    // nothing else open, on a spawn itself.
+    const farthest = Math.min(3, Math.max(...floor.map((f) => f.distance)));
+    let spots = candidates;
+    if (spots.length === 0) spots = floor.filter((f) => f.distance >= farthest);
+    if (spots.length === 0) spots = nearBlocks;
+    if (spots.length === 0) spots = spawnTiles;
+    const spot = spots[Math.floor(rng() * spots.length)];
+    if (grid[spot.y][spot.x] === BLOCK) hiddenPowerups[spot.y][spot.x] = EXIT;
+    else grid[spot.y][spot.x] = EXIT;
   }
 
   return { grid, hiddenPowerups };
@@ -0,0 +1,166 @@
+// mapfile.js — the JSON format custom maps are saved in, and the checks a map
+// has to pass before a room will play on it. Shared by the editor, the lobby
+// and the server.
+
+import { EMPTY, WALL, BLOCK, MAX_ENTITIES, isPowerupTile, computeSpawns } from "./map.js";
+
+export const MAP_FORMAT = "bomb-it-map";
+export const MAP_FORMAT_VERSION = 1;
+
+// Size limits (the border walls included)
+export const MAP_MIN_SIZE = 7;
+export const MAP_MAX_COLS = 31;
+export const MAP_MAX_ROWS = 25;
+export const MIN_SPAWNS = 2;
+
+const DELTAS = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+
+const isBorder = (map, x, y) => x === 0 || y === 0 || x === map.cols - 1 || y === map.rows - 1;
+
+/**
+ * A bordered map with the usual pillar grid and the preset spawn slots.
+ * Map shape: { name, cols, rows, tiles: rows of tile types, spawns: [{ x, y }] }
+ * Spawns are in slot order: the first ones go to players, bots get the rest.
+ */
+export function createBlankMap(cols, rows, name = "Custom map") {
+  const tiles = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < cols; x++) {
+      const border = x === 0 || y === 0 || x === cols - 1 || y === rows - 1;
+      row.push(border || (x % 2 === 0 && y % 2 === 0) ? WALL : EMPTY);
+    }
+    tiles.push(row);
+  }
+
+  // Small grids fold some preset slots onto the same tile; keep the first of each
+  const spawns = [];
+  for (const s of computeSpawns(cols, rows, MAX_ENTITIES).players) {
+    if (!spawns.some((t) => t.x === s.x && t.y === s.y)) spawns.push(s);
+  }
+  return { name, cols, rows, tiles, spawns };
+}
+
+/**
+ * Why a spawn has no breathing room, or null if it's fine. A spawn gets what
+ * generateMap's clearSpawnArea gives the preset slots: open floor underfoot,
+ * no blocks next to it, and at least two ways out.
+ */
+export function checkSpawn(map, spawn) {
+  const { x, y } = spawn;
+  if (x <= 0 || y <= 0 || x >= map.cols - 1 || y >= map.rows - 1) return "is on or outside the border";
+  if (map.tiles[y][x] !== EMPTY) return "needs open floor underfoot";
+
+  let open = 0;
+  for (const { dx, dy } of DELTAS) {
+    const tile = map.tiles[y + dy][x + dx];
+    if (tile === BLOCK) return "has a block next to it";
+    if (tile !== WALL) open++;
+  }
+  return open >= 2 ? null : "needs at least two open tiles next to it";
+}
+
+/**
+ * Whether `map` has the format's structure (size, tile rows, spawn positions),
+ * playable or not: enough for the editor to open it.
+ */
+export function isMapShape(map) {
+  return !!map && typeof map === "object"
+    && Number.isInteger(map.cols) && Number.isInteger(map.rows)
+    && map.cols >= MAP_MIN_SIZE && map.rows >= MAP_MIN_SIZE && map.cols <= MAP_MAX_COLS && map.rows <= MAP_MAX_ROWS
+    && Array.isArray(map.tiles) && map.tiles.length === map.rows
+    && map.tiles.every((row) => Array.isArray(row) && row.length === map.cols && row.every(Number.isInteger))
+    && Array.isArray(map.spawns) && map.spawns.length <= MAX_ENTITIES
+    && map.spawns.every((s) => !!s && Number.isInteger(s.x) && Number.isInteger(s.y));
+}
+
+/**
+ * Every problem that keeps `map` from being played, as readable messages
+ * (empty when the map is fine).
+ */
+export function validateMap(map) {
+  if (!map || typeof map !== "object") return ["Not a map"];
+
+  const { cols, rows, tiles, spawns } = map;
+  if (!Number.isInteger(cols) || !Number.isInteger(rows)
+    || cols < MAP_MIN_SIZE || rows < MAP_MIN_SIZE || cols > MAP_MAX_COLS || rows > MAP_MAX_ROWS) {
+    return [`Size must be ${MAP_MIN_SIZE}x${MAP_MIN_SIZE} to ${MAP_MAX_COLS}x${MAP_MAX_ROWS}`];
+  }
+  if (!Array.isArray(tiles) || tiles.length !== rows || tiles.some((row) => !Array.isArray(row) || row.length !== cols)) {
+    return [`Tiles must be ${rows} rows of ${cols}`];
+  }
+
+  const errors = [];
+  let badTiles = 0;
+  let openBorder = 0;
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const tile = tiles[y][x];
+      if (isBorder(map, x, y)) {
+        if (tile !== WALL) openBorder++;
+      } else if (tile !== EMPTY && tile !== WALL && tile !== BLOCK && !isPowerupTile(tile)) {
+        badTiles++;
+      }
+    }
+  }
+  if (openBorder > 0) errors.push(`The border needs to be all walls (${openBorder} open)`);
+  if (badTiles > 0) errors.push(`${badTiles} unknown tile${badTiles === 1 ? "" : "s"}`);
+
+  if (!Array.isArray(spawns) || spawns.length < MIN_SPAWNS || spawns.length > MAX_ENTITIES) {
+    errors.push(`Place ${MIN_SPAWNS} to ${MAX_ENTITIES} spawns`);
+    return errors;
+  }
+  spawns.forEach((s, i) => {
+    if (!s || !Number.isInteger(s.x) || !Number.isInteger(s.y)) {
+      errors.push(`Spawn ${i + 1} has no position`);
+      return;
+    }
+    if (spawns.findIndex((t) => t && t.x === s.x && t.y === s.y) !== i) {
+      errors.push(`Spawn ${i + 1} shares a tile with another spawn`);
+      return;
+    }
+    const problem = openBorder > 0 || badTiles > 0 ? null : checkSpawn(map, s);
+    if (problem) errors.push(`Spawn ${i + 1} (${s.x},${s.y}) ${problem}`);
+  });
+  return errors;
+}
+
+// Just the fields the format defines, so nothing else rides along into rooms and replays
+export function cleanMap(map) {
+  return {
+    name: typeof map.name === "string" && map.name.trim() ? map.name.trim().slice(0, 40) : "Custom map",
+    cols: map.cols,
+    rows: map.rows,
+    tiles: map.tiles.map((row) => [...row]),
+    spawns: map.spawns.map(({ x, y }) => ({ x, y })),
+  };
+}
+
+/**
+ * Read an exported map file.
+ * Returns { map, errors }: map is null unless the file has the map structure
+ * (see isMapShape); errors lists what still keeps it from being played.
+ */
+export function parseMapFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { map: null, errors: ["Not a JSON file"] };
+  }
+  if (!data || data.format !== MAP_FORMAT) return { map: null, errors: ["Not a Bomb It map file"] };
+  if (data.version > MAP_FORMAT_VERSION) return { map: null, errors: ["Map file is from a newer version"] };
+
+  const errors = validateMap(data);
+  if (!isMapShape(data)) return { map: null, errors: errors.length ? errors : ["Map file is damaged"] };
+  return { map: cleanMap(data), errors };
+}
+
+// JSON text for a map file, one tile row per line so it stays readable and diffable
+export function exportMapFile(map) {
+  const { name, cols, rows, tiles, spawns } = cleanMap(map);
+  const header = JSON.stringify({ format: MAP_FORMAT, version: MAP_FORMAT_VERSION, name, cols, rows }, null, 2).slice(0, -2);
+  const tileRows = tiles.map((row) => `    ${JSON.stringify(row)}`).join(",\n");
+  const spawnList = spawns.map((s) => `    ${JSON.stringify(s)}`).join(",\n");
+  return `${header},\n  "tiles": [\n${tileRows}\n  ],\n  "spawns": [\n${spawnList}\n  ]\n}\n`;
+}
@@ -0,0 +1,170 @@
+// monsters.js — campaign enemies: non-bomb monsters with simple movement patterns,
+// and the stage table the campaign climbs through
+
+import { EMPTY, BLOCK } from "./map.js";
+import { canMoveTo } from "./rules.js";
+
+// --- Monster kinds ---
+// moveDelay: ms between steps on stage 1 (later stages are faster, see stageMoveDelay)
+// points: added to the shared campaign score when one dies
+const MONSTER_KINDS = {
+  // Walks straight until something is in the way, turning now and then at junctions
+  wanderer: { moveDelay: 420, points: 100 },
+  // Heads for the nearest player in range, wandering otherwise
+  chaser: { moveDelay: 360, points: 200, chaseRange: 6 },
+  // Drifts through blocks (never walls or bombs) toward the players
+  ghost: { moveDelay: 480, points: 400, passesBlocks: true },
+};
+
+export const MONSTER_TYPES = Object.keys(MONSTER_KINDS);
+
+// Monsters per stage; the campaign is won by clearing the last one
+const STAGES = [
+  { wanderer: 3, chaser: 0, ghost: 0 },
+  { wanderer: 3, chaser: 1, ghost: 0 },
+  { wanderer: 2, chaser: 2, ghost: 0 },
+  { wanderer: 2, chaser: 2, ghost: 1 },
+  { wanderer: 1, chaser: 3, ghost: 1 },
+  { wanderer: 2, chaser: 3, ghost: 2 },
+  { wanderer: 1, chaser: 4, ghost: 2 },
+  { wanderer: 2, chaser: 4, ghost: 3 },
+];
+
+export const CAMPAIGN_STAGES = STAGES.length;
+export const STAGE_CLEAR_BONUS = 1000; // score per stage number for reaching the exit
+
+// Monster kinds to spawn on `stage` (1-based), in a fixed order
+export function stageRoster(stage) {
+  const counts = STAGES[Math.min(stage, CAMPAIGN_STAGES) - 1];
+  const roster = [];
+  for (const kind of MONSTER_TYPES) {
+    for (let i = 0; i < counts[kind]; i++) roster.push(kind);
+  }
+  return roster;
+}
+
+// Each stage takes 5% off the step time, down to 60% of the stage-1 speed
+export function stageMoveDelay(kind, stage) {
+  const scale = Math.max(1 - 0.05 * (stage - 1), 0.6);
+  return Math.round(MONSTER_KINDS[kind].moveDelay * scale);
+}
+
+export function monsterPoints(kind) {
+  return MONSTER_KINDS[kind] ? MONSTER_KINDS[kind].points : 0;
+}
+
+// Whether a monster of `kind` can step onto (x, y): ghosts treat blocks as floor
+export function canMonsterEnter(kind, grid, bombs, x, y, cols, rows) {
+  const passesBlocks = MONSTER_KINDS[kind].passesBlocks;
+  const tileAt = (tx, ty) => (passesBlocks && grid[ty][tx] === BLOCK ? EMPTY : grid[ty][tx]);
+  return canMoveTo(tileAt, bombs, x, y, cols, rows);
+}
+
+const DIRS = [
+  { dx: 0, dy: -1, name: "up" },
+  { dx: 0, dy: 1, name: "down" },
+  { dx: -1, dy: 0, name: "left" },
+  { dx: 1, dy: 0, name: "right" },
+];
+
+const REVERSE = { up: "down", down: "up", left: "right", right: "left" };
+
+// --- MonsterBrain ---
+// Picks a direction each time its monster is ready to step. No danger
+// awareness: walking into blasts is how monsters die.
+
+export class MonsterBrain {
+  constructor(kind, cols, rows, rng = Math.random) {
+    this.kind = kind;
+    this.config = MONSTER_KINDS[kind];
+    this.cols = cols;
+    this.rows = rows;
+    this.rng = rng;
+    this.dir = null;
+  }
+
+  canEnter(grid, bombs, x, y) {
+    return canMonsterEnter(this.kind, grid, bombs, x, y, this.cols, this.rows);
+  }
+
+  // Direction for the monster's next step (null to stay put)
+  update(monster, grid, bombs, players) {
+    const target = this.nearest(monster, players);
+
+    if (target && this.kind === "chaser") {
+      const dist = Math.abs(target.x - monster.x) + Math.abs(target.y - monster.y);
+      if (dist <= this.config.chaseRange) {
+        const step = this.bfsToward(monster, grid, bombs, target);
+        if (step) return (this.dir = step);
+      }
+    } else if (target && this.kind === "ghost" && this.rng() < 0.5) {
+      const step = this.greedyToward(monster, grid, bombs, target);
+      if (step) return (this.dir = step);
+    }
+
+    return (this.dir = this.wander(monster, grid, bombs));
+  }
+
+  nearest(monster, players) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const p of players) {
+      const d = Math.abs(p.x - monster.x) + Math.abs(p.y - monster.y);
+      if (d < bestDist) {
+        bestDist = d;
+        best = p;
+      }
+    }
+    return best;
+  }
+
+  // Keep going straight; at a junction turn a quarter of the time; reverse only when stuck
+  wander(monster, grid, bombs) {
+    const open = DIRS.filter((d) => this.canEnter(grid, bombs, monster.x + d.dx, monster.y + d.dy));
+    if (open.length === 0) return null;
+
+    const ahead = open.find((d) => d.name === this.dir);
+    const turns = open.filter((d) => d.name !== this.dir && d.name !== REVERSE[this.dir]);
+    if (ahead && (turns.length === 0 || this.rng() >= 0.25)) return ahead.name;
+    if (turns.length > 0) return turns[Math.floor(this.rng() * turns.length)].name;
+    return open[Math.floor(this.rng() * open.length)].name;
+  }
+
+  // Ghosts close the larger gap first, falling back to the other axis
+  greedyToward(monster, grid, bombs, target) {
+    const dx = Math.sign(target.x - monster.x);
+    const dy = Math.sign(target.y - monster.y);
+    const horizontal = dx !== 0 ? (dx > 0 ? "right" : "left") : null;
+    const vertical = dy !== 0 ? (dy > 0 ? "down" : "up") : null;
+    const order = Math.abs(target.x - monster.x) >= Math.abs(target.y - monster.y)
+      ? [horizontal, vertical] : [vertical, horizontal];
+
+    for (const name of order) {
+      if (!name) continue;
+      const d = DIRS.find((dir) => dir.name === name);
+      if (this.canEnter(grid, bombs, monster.x + d.dx, monster.y + d.dy)) return name;
+    }
+    return null;
+  }
+
+  // First step of a shortest path to the target
+  bfsToward(monster, grid, bombs, target) {
+    const visited = new Set([`${monster.x},${monster.y}`]);
+    const queue = [{ x: monster.x, y: monster.y, firstStep: null }];
+
+    while (queue.length > 0) {
+      const cur = queue.shift();
+      if (cur.x === target.x && cur.y === target.y) return cur.firstStep;
+
+      for (const d of DIRS) {
+        const nx = cur.x + d.dx;
+        const ny = cur.y + d.dy;
+        const key = `${nx},${ny}`;
+        if (visited.has(key) || !this.canEnter(grid, bombs, nx, ny)) continue;
+        visited.add(key);
+        queue.push({ x: nx, y: ny, firstStep: cur.firstStep || d.name });
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,34 @@
+// random.js — seedable PRNG so a match can be regenerated from its seed
+
+/**
+ * Create a Math.random-style generator from a 32-bit seed (mulberry32).
+ * Same seed → same sequence, on server and client alike.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed when the host didn't supply one.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a user-supplied seed (number or numeric string).
+ * Returns null when missing or invalid.
+ */
+export function parseSeed(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 4294967295) return null;
+  return n;
+}
@@ -5,7 +5,38 @@ import { WALL, BLOCK } from './map.js';
 export const BOMB_FUSE = 2000;    // ms
 export const EXPLOSION_DURATION = 300; // ms
 export const DEFAULT_POWER = 2;   // blast radius in tiles
-export const MAX_BOMBS = 1;
+export const MAX_BOMBS = 1;       // bombs out at once
+export const MOVE_DELAY = 120;    // ms between steps
+
+// Stat powerup limits (each life starts from the defaults above)
+export const POWER_CAP = 8;
+export const BOMB_CAP = 8;
+export const SPEED_UP_STEP = 15;  // ms off the move delay per speed-up
+export const MIN_MOVE_DELAY = 60; // one simulation tick
+
+// Special bomb types (the "bomb type" powerups swap which one an entity places)
+export const BOMB_TYPES = ["normal", "remote", "pierce", "mine", "cluster"];
+export const REMOTE_FUSE = 10000;  // ms a remote bomb waits for its trigger before going off anyway
+export const MINE_ARM_TIME = 1000; // ms before a mine reacts to opponents
+export const MINE_LIFETIME = 30000; // ms an untouched mine lies in wait before fizzling out (its bomb comes back)
+export const BOMBLET_FUSE = 600;   // ms, for the bomblets a cluster bomb scatters
+export const BOMBLET_POWER = 1;
+export const CLUSTER_SPREAD = 2;   // tiles from the cluster bomb to each bomblet
+
+// Kicked bombs slide one tile per simulation tick; thrown bombs fly this far
+export const THROW_DISTANCE = 3;  // tiles
+export const THROW_FLIGHT = 360;  // ms in the air (the fuse waits for the landing)
+
+// Objective modes
+export const FLAG_RETURN_TIME = 15000;    // ms a dropped flag waits before going home by itself
+export const HILL_RADIUS = 1;             // the hill covers the tiles within this many steps (a 3x3 square)
+export const HILL_MOVE_INTERVAL = 20000;  // ms between hill moves
+
+// Timed rounds
+export const SUDDEN_DEATH_LENGTH = 30000;  // ms: sudden death fills the end of a timed round
+export const SHRINK_INTERVAL = 3000;       // ms between ring shrinks
+export const SPIRAL_DROP_INTERVAL = 250;   // ms between spiral wall drops
+export const BOMB_RAIN_INTERVAL = 700;     // ms between rain bombs
 
 const DIRS = [
   { dx: 0, dy: -1 },
@@ -130,7 +161,56 @@ export function computeRaygunExplosion(grid, bx, by, cols, rows) {
   return { tiles, destroyed };
 }
 
-// --- Direction map for single-direction weapon shots ---
+/**
+ * Pierce bomb explosion.
+ * Like the standard blast but passes through blocks (destroying each), up to `power` tiles.
+ */
+export function computePierceExplosion(grid, bx, by, power, cols, rows) {
+  const tiles = [{ x: bx, y: by }];
+  const destroyed = [];
+
+  for (const { dx, dy } of DIRS) {
+    for (let i = 1; i <= power; i++) {
+      const nx = bx + dx * i;
+      const ny = by + dy * i;
+      if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) break;
+
+      const tile = grid[ny][nx];
+      if (tile === WALL) break;
+
+      tiles.push({ x: nx, y: ny });
+      if (tile === BLOCK) destroyed.push({ x: nx, y: ny });
+    }
+  }
+
+  return { tiles, destroyed };
+}
+
+// Blast of a bomb of any type (bomblets are small standard blasts)
+export function computeBombExplosion(grid, bomb, cols, rows) {
+  if (bomb.type === "pierce") return computePierceExplosion(grid, bomb.x, bomb.y, bomb.power, cols, rows);
+  return computeExplosion(grid, bomb.x, bomb.y, bomb.power, cols, rows);
+}
+
+/**
+ * Movement passability, shared by the server and client-side prediction.
+ * `tileAt(x, y)` reads the caller's grid; walls, blocks and bombs all block.
+ */
+export function canMoveTo(tileAt, bombs, x, y, cols, rows) {
+  if (x < 0 || x >= cols || y < 0 || y >= rows) return false;
+
+  const tile = tileAt(x, y);
+  if (tile === WALL || tile === BLOCK) return false;
+
+  // Thrown bombs don't block anything until they land; mines never do (they're hidden)
+  let blocked = false;
+  bombs.forEach((bomb) => {
+    if (bomb.x === x && bomb.y === y && !bomb.airborne && bomb.type !== "mine") blocked = true;
+  });
+  return !blocked;
+}
+
+// --- Direction map for movement and single-direction weapon shots ---
 
 export const DIR_MAP = {
   up:    { dx: 0, dy: -1 },
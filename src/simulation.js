@@ -0,0 +1,1855 @@
+// simulation.js — headless game core: rules, timers, bots and win checks.
+// No server or browser dependencies; GameRoom and ReplayRoom are thin adapters
+// around it, and the same class runs offline (tests, tournaments, replays).
+
+import { EMPTY, WALL, BLOCK, GRID_PRESETS, MAX_ENTITIES, POWERUP_FLAMETHROWER, POWERUP_RAYGUN, POWERUP_SHIELD, POWERUP_BOMB_UP, POWERUP_FIRE_UP, POWERUP_SPEED_UP, POWERUP_KICK, POWERUP_GLOVE, POWERUP_BOMB_TYPES, EXIT, MAP_TEMPLATES, isPowerupTile, pickPowerup, generateMap, computeSpawns } from "./map.js";
+import { BOMB_FUSE, DEFAULT_POWER, MAX_BOMBS, MOVE_DELAY, POWER_CAP, BOMB_CAP, SPEED_UP_STEP, MIN_MOVE_DELAY, THROW_DISTANCE, THROW_FLIGHT, REMOTE_FUSE, MINE_ARM_TIME, MINE_LIFETIME, BOMBLET_FUSE, BOMBLET_POWER, CLUSTER_SPREAD, FLAG_RETURN_TIME, HILL_RADIUS, HILL_MOVE_INTERVAL, SUDDEN_DEATH_LENGTH, SHRINK_INTERVAL, SPIRAL_DROP_INTERVAL, BOMB_RAIN_INTERVAL, DIR_MAP, canMoveTo, computeBombExplosion, computeFlamethrowerShot, computeRaygunShot } from "./rules.js";
+import { BotBrain } from "./bot.js";
+import { MonsterBrain, CAMPAIGN_STAGES, STAGE_CLEAR_BONUS, stageRoster, stageMoveDelay, monsterPoints, canMonsterEnter } from "./monsters.js";
+import { createRng, randomSeed } from "./random.js";
+import { validateMap, cleanMap } from "./mapfile.js";
+
+// Fixed simulation step — game time advances exactly this much per tick so
+// the same inputs on the same ticks always replay to the same match
+export const TICK_MS = 60;
+
+// Bump when a rules change would play old input logs out differently
+export const REPLAY_VERSION = 4;
+
+const BOT_DIFFICULTIES = ["easy", "medium", "hard"];
+const TEAM_MODES = ["off", "alternate", "humans"];
+// Modes where everyone respawns until someone reaches the target
+const ENDLESS_MODES = ["kills", "ctf", "koth"];
+const TIME_LIMITS = [60, 120, 180, 300]; // seconds (0 = untimed)
+// shrink: the late-game ring; spiral: walls drop one tile at a time; rain: bombs fall at random
+const SUDDEN_DEATH_STYLES = ["shrink", "spiral", "rain"];
+// What decides a timed round after the mode's own score: lives then kills, or kills then lives
+const TIE_BREAKS = ["lives", "kills"];
+// Rounds per match series (1 = single rounds)
+const SERIES_LENGTHS = [1, 3, 5, 7];
+// How long the results screen stays up before the next round: longer in a
+// series, and longest once the series is decided
+const RESTART_MS = 3000;
+const SERIES_RESTART_MS = 6000;
+const SERIES_END_RESTART_MS = 10000;
+
+// Share of the floor random maps start with as blocks, in percent
+const BLOCK_DENSITIES = [20, 40, 60, 80];
+
+// Compact input codes for the replay log. botOn/botOff hand a player's entity
+// to a bot and back; only the server issues those.
+const INPUT_CODES = { up: "u", down: "d", left: "l", right: "r", bomb: "b", fire: "f", detonate: "t", botOn: "x", botOff: "c" };
+const CODE_ACTIONS = { u: "up", d: "down", l: "left", r: "right", b: "bomb", f: "fire", t: "detonate", x: "botOn", c: "botOff" };
+const CLIENT_ACTIONS = ["up", "down", "left", "right", "bomb", "fire", "detonate"];
+
+// Early moves wait for a later tick; beyond this many per player they are dropped
+const MAX_DEFERRED_INPUTS = 4;
+
+// --- Helpers ---
+
+function cloneGrid(grid) {
+  return grid.map((row) => [...row]);
+}
+
+function applyPowerup(entity, tileType) {
+  if (tileType === POWERUP_FLAMETHROWER) {
+    entity.powerupType = 1;
+    entity.powerupUses = 3;
+  } else if (tileType === POWERUP_RAYGUN) {
+    entity.powerupType = 2;
+    entity.powerupUses = 3;
+  } else if (tileType === POWERUP_SHIELD) {
+    entity.hasShield = true;
+  } else if (tileType === POWERUP_BOMB_UP) {
+    if (entity.maxBombs < BOMB_CAP) {
+      entity.maxBombs++;
+      entity.bombsAvailable++;
+    }
+  } else if (tileType === POWERUP_FIRE_UP) {
+    entity.power = Math.min(entity.power + 1, POWER_CAP);
+  } else if (tileType === POWERUP_SPEED_UP) {
+    entity.moveDelay = Math.max(entity.moveDelay - SPEED_UP_STEP, MIN_MOVE_DELAY);
+  } else if (tileType === POWERUP_KICK) {
+    entity.canKick = true;
+  } else if (tileType === POWERUP_GLOVE) {
+    entity.canThrow = true;
+  } else if (POWERUP_BOMB_TYPES[tileType]) {
+    entity.bombType = POWERUP_BOMB_TYPES[tileType];
+  }
+}
+
+// Every life starts with the default stats and no powerups
+function resetLoadout(entity) {
+  entity.bombsAvailable = MAX_BOMBS;
+  entity.maxBombs = MAX_BOMBS;
+  entity.power = DEFAULT_POWER;
+  entity.moveDelay = MOVE_DELAY;
+  entity.canKick = false;
+  entity.canThrow = false;
+  entity.bombType = "normal";
+  entity.powerupType = 0;
+  entity.powerupUses = 0;
+  entity.hasShield = false;
+}
+
+// Result string naming the winner: "p1".."p8" for players, "npc" for bots,
+// "team1"/"team2" in team games
+function resultFor(winner) {
+  if (winner.team) return `team${winner.team}`;
+  return winner.isNpc ? "npc" : `p${winner.playerIndex + 1}`;
+}
+
+function createPlayer(playerIndex) {
+  return {
+    x: 0,
+    y: 0,
+    alive: true,
+    bombsAvailable: MAX_BOMBS,
+    maxBombs: MAX_BOMBS,
+    power: DEFAULT_POWER,
+    moveDelay: MOVE_DELAY,
+    canKick: false,
+    canThrow: false,
+    bombType: "normal",
+    team: 0,
+    captures: 0,  // ctf: enemy flags brought home
+    holdTime: 0,  // koth: ms spent holding the hill alone
+    playerIndex,
+    powerupType: 0,
+    powerupUses: 0,
+    hasShield: false,
+    facing: "down",
+    lives: 1,
+    kills: 0,
+    deaths: 0,
+    suicides: 0,
+    powerups: 0, // pickups this round, for the results screen
+    respawnAt: 0,
+    spawnX: 0,
+    spawnY: 0,
+    invincibleUntil: 0,
+    inputSeq: 0,
+    botControlled: false,
+  };
+}
+
+function createNpc(npcIndex, difficulty) {
+  return {
+    x: 0,
+    y: 0,
+    alive: true,
+    bombsAvailable: MAX_BOMBS,
+    maxBombs: MAX_BOMBS,
+    power: DEFAULT_POWER,
+    moveDelay: MOVE_DELAY,
+    canKick: false,
+    canThrow: false,
+    bombType: "normal",
+    team: 0,
+    captures: 0,  // ctf: enemy flags brought home
+    holdTime: 0,  // koth: ms spent holding the hill alone
+    kind: "bomber", // campaign monsters: wanderer, chaser or ghost
+    difficulty,
+    npcIndex,
+    powerupType: 0,
+    powerupUses: 0,
+    hasShield: false,
+    facing: "down",
+    lives: 1,
+    kills: 0,
+    deaths: 0,
+    suicides: 0,
+    powerups: 0, // pickups this round, for the results screen
+    respawnAt: 0,
+    spawnX: 0,
+    spawnY: 0,
+    invincibleUntil: 0,
+  };
+}
+
+/**
+ * Parse and clamp room options into a simulation config.
+ * The result is what replay files store, so it round-trips through here.
+ */
+export function normalizeConfig(options = {}) {
+  // A custom map (see mapfile.js) replaces the grid preset and brings its own spawn slots
+  const customMap = options.customMap && validateMap(options.customMap).length === 0
+    ? cleanMap(options.customMap) : null;
+  const gridSize = customMap ? "custom"
+    : Object.hasOwn(GRID_PRESETS, options.gridSize) ? options.gridSize : "medium";
+  const slots = customMap ? customMap.spawns.length : MAX_ENTITIES;
+  // One player is a solo game against the bots (or the campaign's monsters)
+  const maxPlayers = Math.min(Math.max(parseInt(options.maxPlayers) || 2, 1), slots);
+  const botCount = parseInt(options.botCount);
+  const gameMode = ["classic", "lives", "kills", "campaign", "ctf", "koth"].includes(options.gameMode)
+    ? options.gameMode : "classic";
+  // The campaign is co-op against monsters: no bomber bots, no teams
+  const campaign = gameMode === "campaign";
+  const botDifficulty = BOT_DIFFICULTIES.includes(options.botDifficulty)
+    ? options.botDifficulty : "medium";
+  const maxBots = Math.min(4, slots - maxPlayers);
+  // "alternate" splits seats into two teams; "humans" puts every player (topped
+  // up with bots) against the remaining bots
+  const teams = !campaign && TEAM_MODES.includes(options.teams) ? options.teams : "off";
+
+  // Optional per-bot difficulties (bot i uses botLineup[i]); sets the bot count
+  const botLineup = !campaign && Array.isArray(options.botLineup)
+    ? options.botLineup.slice(0, maxBots).map((d) => (BOT_DIFFICULTIES.includes(d) ? d : botDifficulty))
+    : null;
+
+  // Players vs bots and solo games need at least one bot to play against
+  const minBots = teams === "humans" || maxPlayers === 1 ? 1 : 0;
+
+  return {
+    gridSize,
+    ...(customMap && { customMap }),
+    // Random map layout (see MAP_TEMPLATES); a custom map has its own
+    mapTemplate: Object.hasOwn(MAP_TEMPLATES, options.mapTemplate) ? options.mapTemplate : "classic",
+    blockDensity: BLOCK_DENSITIES.includes(parseInt(options.blockDensity)) ? parseInt(options.blockDensity) : 60,
+    maxPlayers,
+    botCount: campaign ? 0 : botLineup
+      ? botLineup.length
+      : Math.min(Math.max(Number.isNaN(botCount) ? 1 : botCount, minBots), maxBots),
+    botDifficulty,
+    ...(botLineup && { botLineup }),
+    gameMode,
+    startingLives: [1, 2, 3, 5].includes(parseInt(options.startingLives))
+      ? parseInt(options.startingLives) : (gameMode === "lives" || campaign ? 3 : 1),
+    killTarget: [5, 10, 15, 20].includes(parseInt(options.killTarget))
+      ? parseInt(options.killTarget) : 10,
+    captureTarget: [1, 3, 5].includes(parseInt(options.captureTarget))
+      ? parseInt(options.captureTarget) : 3,
+    holdTarget: [30, 60, 90, 120].includes(parseInt(options.holdTarget))
+      ? parseInt(options.holdTarget) : 60, // seconds
+    teams,
+    friendlyFire: teams !== "off" && options.friendlyFire === true,
+    // Campaign stages have no clock
+    timeLimit: !campaign && TIME_LIMITS.includes(parseInt(options.timeLimit))
+      ? parseInt(options.timeLimit) : 0, // seconds
+    suddenDeath: SUDDEN_DEATH_STYLES.includes(options.suddenDeath) ? options.suddenDeath : "shrink",
+    tieBreak: TIE_BREAKS.includes(options.tieBreak) ? options.tieBreak : "lives",
+    // Best-of-N series; the campaign is one long run instead
+    series: !campaign && SERIES_LENGTHS.includes(parseInt(options.series)) ? parseInt(options.series) : 1,
+  };
+}
+
+// --- GameSimulation ---
+
+export class GameSimulation {
+  /**
+   * config: see normalizeConfig (raw room options are normalized here too)
+   * options.clock: () => ms, read once per round as the game clock's start time
+   * options.emit: (type, message) => void, for client-facing events (explosion, weaponFire, ...)
+   * options.onEnd: ({ result, winnerId }) => void, once per finished round
+   * options.record: keep a replay log of every applied input
+   */
+  constructor(config, options = {}) {
+    this.config = normalizeConfig(config);
+    this.clock = options.clock || (() => 0);
+    this.emit = options.emit || (() => {});
+    this.onEnd = options.onEnd || (() => {});
+    this.record = !!options.record;
+
+    const size = this.config.customMap || GRID_PRESETS[this.config.gridSize];
+    this.cols = size.cols;
+    this.rows = size.rows;
+
+    // Plain mirror of the networked GameState (Maps behave like MapSchema)
+    this.state = {
+      cols: this.cols,
+      rows: this.rows,
+      map: [],
+      players: new Map(),
+      bombs: new Map(),
+      npcs: new Map(),
+      status: "lobby",
+      result: "",
+      winnerId: "",
+      maxPlayers: this.config.maxPlayers,
+      gameMode: this.config.gameMode,
+      startingLives: this.config.startingLives,
+      killTarget: this.config.killTarget,
+      captureTarget: this.config.captureTarget,
+      holdTarget: this.config.holdTarget,
+      teams: this.config.teams,
+      stage: 0,      // campaign: current stage (1-based)
+      score: 0,      // campaign: shared by every player
+      exitOpen: false,
+      flags: new Map(), // ctf: one flag per side, keyed by side (see sideOf)
+      hillX: 0,         // koth: centre of the hill
+      hillY: 0,
+      hillMovesAt: 0,   // koth: game clock time of the next hill move
+      timeLimit: this.config.timeLimit,
+      suddenDeath: this.config.suddenDeath,
+      endsAt: 0,        // timed rounds: game clock time the round ends (0 = untimed)
+      suddenDeathActive: false,
+      series: this.config.series,
+      seriesRound: 0,          // rounds started in the current series
+      seriesWins: new Map(),   // round wins per side (see sideOf), kept across rounds
+      seriesWinner: "",        // side that took the series, until the next one starts
+      seed: 0,
+      tick: 0,
+      roundStart: 0, // game clock at tick 0, so clients can read bomb timers
+    };
+
+    this.grid = null;
+    this.hiddenPowerups = null;
+    this.rng = Math.random;
+    this.bombIdCounter = 0;
+    this.playerLastMove = {};
+    this.npcLastMove = {};
+    this.botBrains = {};
+    this.monsterBrains = {};
+    this.respawnQueue = [];
+    this.pendingInputs = [];
+    this.recording = null;
+    this.replay = null;
+    this.inputLog = null;
+    this.inputCursor = 0;
+    this.now = 0;
+    this.tickCount = 0;
+  }
+
+  /**
+   * Build a simulation that plays back a recorded replay.
+   * Call step() until status leaves "playing" (or tickCount reaches replay.ticks).
+   */
+  static fromReplay(replay, options = {}) {
+    const sim = new GameSimulation(replay.config, { ...options, record: false });
+    for (let i = 0; i < replay.players; i++) {
+      sim.addPlayer(`replay_p${i}`);
+    }
+    sim.replay = replay;
+    sim.restartReplay();
+    return sim;
+  }
+
+  restartReplay() {
+    this.inputLog = this.replay.inputs;
+    this.inputCursor = 0;
+    this.startRound({
+      layout: {
+        seed: this.replay.seed,
+        grid: this.replay.grid,
+        hiddenPowerups: this.replay.hiddenPowerups,
+      },
+    });
+  }
+
+  // --- Players ---
+
+  // Players' and bots' spawn tiles: the custom map's own, or the preset slots
+  spawnSlots() {
+    const custom = this.config.customMap;
+    return computeSpawns(this.cols, this.rows, this.config.maxPlayers, custom && custom.spawns);
+  }
+
+  addPlayer(id) {
+    // Lowest free index, so a rejoin after a leave doesn't collide
+    const usedIndices = new Set();
+    this.state.players.forEach((p) => usedIndices.add(p.playerIndex));
+    let playerIndex = 0;
+    while (usedIndices.has(playerIndex)) playerIndex++;
+
+    const spawn = this.spawnSlots().players[playerIndex];
+
+    const player = createPlayer(playerIndex);
+    player.x = spawn.x;
+    player.y = spawn.y;
+
+    this.state.players.set(id, player);
+    return player;
+  }
+
+  removePlayer(id) {
+    const player = this.state.players.get(id);
+    if (player) this.dropFlag(id, player);
+    this.state.players.delete(id);
+    delete this.playerLastMove[id];
+    delete this.botBrains[id];
+  }
+
+  // --- Round lifecycle ---
+
+  /**
+   * Start a fresh round.
+   * seed: reuse a specific seed (random when omitted)
+   * layout: { seed, grid, hiddenPowerups } replays a recorded map instead of generating one
+   */
+  startRound({ seed = null, layout = null } = {}) {
+    const cols = this.cols;
+    const rows = this.rows;
+
+    // Seed every random decision this round (map, drops, bots) from one value.
+    // The map and the in-game rolls use separate streams so a replay can load
+    // the recorded grid and still reproduce every later roll.
+    const roundSeed = layout ? layout.seed : (seed ?? randomSeed());
+    this.rng = createRng(roundSeed ^ 0x9e3779b9);
+    this.state.seed = roundSeed;
+
+    // A decided series makes way for a new one
+    if (this.state.seriesWinner) this.resetSeries();
+    this.state.seriesRound++;
+
+    const campaign = this.config.gameMode === "campaign";
+    const { grid, hiddenPowerups } = layout
+      ? { grid: cloneGrid(layout.grid), hiddenPowerups: cloneGrid(layout.hiddenPowerups) }
+      : this.buildMap(createRng(roundSeed), campaign);
+
+    // Fixed-step game clock, advanced TICK_MS per tick
+    this.now = this.clock();
+    this.tickCount = 0;
+    this.state.tick = 0;
+    this.state.roundStart = this.now;
+    this.pendingInputs = [];
+    this.recording = this.record ? {
+      seed: roundSeed,
+      grid: cloneGrid(grid),
+      hiddenPowerups: cloneGrid(hiddenPowerups),
+      inputs: [],
+    } : null;
+
+    this.loadMap(grid, hiddenPowerups);
+    this.state.endsAt = this.config.timeLimit > 0 ? this.now + this.config.timeLimit * 1000 : 0;
+    this.state.suddenDeathActive = false;
+    this.spiralTiles = null;
+    this.lastSpiralDrop = 0;
+    this.lastBombRain = 0;
+
+    const startingLives = ENDLESS_MODES.includes(this.config.gameMode) ? 255
+      : this.config.gameMode === "lives" || campaign ? this.config.startingLives : 1;
+
+    // Reset players to spawns
+    const spawns = this.spawnSlots();
+    let idx = 0;
+    this.state.players.forEach((player) => {
+      const spawn = spawns.players[idx];
+      player.x = spawn.x;
+      player.y = spawn.y;
+      player.alive = true;
+      resetLoadout(player);
+      player.playerIndex = idx;
+      player.facing = "down";
+      player.spawnX = spawn.x;
+      player.spawnY = spawn.y;
+      player.kills = 0;
+      player.deaths = 0;
+      player.suicides = 0;
+      player.powerups = 0;
+      player.captures = 0;
+      player.holdTime = 0;
+      player.invincibleUntil = 0;
+      player.respawnAt = 0;
+      // Lives: classic=1, lives/campaign=configured, kills/ctf/koth=255 (effectively infinite)
+      player.lives = startingLives;
+      idx++;
+    });
+
+    // Clear bombs and NPCs
+    this.state.bombs.clear();
+    this.state.npcs.clear();
+    this.bombIdCounter = 0;
+    this.playerLastMove = {};
+    this.npcLastMove = {};
+    this.botBrains = {};
+    this.monsterBrains = {};
+    this.respawnQueue = [];
+    this.state.stage = campaign ? 1 : 0;
+    this.state.score = 0;
+    this.state.exitOpen = false;
+    if (campaign) this.spawnMonsters(1);
+
+    // Spawn NPCs
+    for (let i = 0; i < this.config.botCount; i++) {
+      const spawn = spawns.npcs[i];
+      const npcId = `npc_${i}`;
+
+      const difficulty = this.config.botLineup ? this.config.botLineup[i] : this.config.botDifficulty;
+      const npc = createNpc(i, difficulty);
+      npc.x = spawn.x;
+      npc.y = spawn.y;
+      npc.spawnX = spawn.x;
+      npc.spawnY = spawn.y;
+      npc.lives = startingLives;
+
+      this.state.npcs.set(npcId, npc);
+      this.botBrains[npcId] = new BotBrain(npcId, difficulty, cols, rows, this.rng);
+    }
+    this.assignTeams();
+    this.setUpObjectives();
+
+    // Seats still held by a bot (client reconnecting) stay bot-controlled;
+    // queued so the replay log carries the switch too
+    this.state.players.forEach((player, id) => {
+      if (player.botControlled) this.pendingInputs.push({ id, action: "botOn", seq: 0 });
+    });
+
+    this.state.status = "playing";
+    this.state.result = "";
+    this.state.winnerId = "";
+  }
+
+  // A fresh map in the room's layout (its custom map, or a template), drawn from `rng`
+  buildMap(rng, exit) {
+    return generateMap(this.cols, this.rows, rng, {
+      exit,
+      custom: this.config.customMap,
+      template: this.config.mapTemplate,
+      blockDensity: this.config.blockDensity / 100,
+    });
+  }
+
+  // Install a stage's map: flatten it into state.map, count blocks and reset the late game
+  loadMap(grid, hiddenPowerups) {
+    this.grid = grid;
+    this.hiddenPowerups = hiddenPowerups;
+
+    // Flatten 2D grid and count blocks
+    this.state.map = [];
+    this.blockCount = 0;
+    for (let y = 0; y < this.rows; y++) {
+      for (let x = 0; x < this.cols; x++) {
+        this.state.map.push(this.grid[y][x]);
+        if (this.grid[y][x] === BLOCK) this.blockCount++;
+      }
+    }
+
+    // Late-game state. A custom map without blocks starts in the late game
+    // (the campaign has none)
+    this.lateGameActive = this.blockCount === 0 && this.config.gameMode !== "campaign";
+    this.lateGameStartedAt = this.lateGameActive ? this.now : 0;
+    this.lastPowerupDrop = 0;
+    this.lastShrink = 0;
+    this.shrinkRing = 1;
+  }
+
+  // Split the seats into teams 1 and 2 (team 0 = free-for-all). Players come
+  // first in seat order, then bots, so replays rebuild the same teams.
+  assignTeams() {
+    const players = [...this.state.players.values()].sort((a, b) => a.playerIndex - b.playerIndex);
+    const npcs = [...this.state.npcs.values()];
+    const entities = [...players, ...npcs];
+
+    if (this.config.gameMode === "campaign") {
+      // Every player against the monsters: teammates' bombs never hurt each other
+      players.forEach((player) => { player.team = 1; });
+      npcs.forEach((npc) => { npc.team = 2; });
+    } else if (this.config.teams === "alternate") {
+      entities.forEach((entity, i) => { entity.team = (i % 2) + 1; });
+    } else if (this.config.teams === "humans") {
+      const teamSize = Math.max(players.length, Math.floor(entities.length / 2));
+      entities.forEach((entity, i) => { entity.team = i < teamSize ? 1 : 2; });
+    } else {
+      entities.forEach((entity) => { entity.team = 0; });
+    }
+  }
+
+  // Same (non-zero) team; an entity is never its own ally
+  areAllies(a, b) {
+    return a !== b && a.team > 0 && a.team === b.team;
+  }
+
+  // End the current round without a winner (e.g. a player disconnected)
+  abortRound(result) {
+    this.state.status = "ended";
+    this.state.result = result;
+    this.state.winnerId = "";
+    this.recording = null;
+  }
+
+  // Back to waiting for players; whoever fills the seats starts a new series
+  resetToLobby() {
+    this.state.status = "lobby";
+    this.state.result = "";
+    this.state.winnerId = "";
+    this.state.bombs.clear();
+    this.resetSeries();
+  }
+
+  endGame(result, winnerId = "") {
+    this.state.status = "ended";
+    this.state.result = result;
+    this.state.winnerId = winnerId;
+    this.scoreSeries(result, winnerId);
+    this.onEnd({ result, winnerId });
+  }
+
+  // --- Series ---
+
+  resetSeries() {
+    this.state.seriesRound = 0;
+    this.state.seriesWins.clear();
+    this.state.seriesWinner = "";
+  }
+
+  // How long the room waits after a round ends before starting the next
+  restartDelay() {
+    if (this.config.series <= 1) return RESTART_MS;
+    return this.state.seriesWinner ? SERIES_END_RESTART_MS : SERIES_RESTART_MS;
+  }
+
+  // The round's winning side gets a point; a majority of the series takes it.
+  // Draws score nothing, so they don't bring the end any closer.
+  scoreSeries(result, winnerId) {
+    if (this.config.series <= 1) return;
+    const side = result.startsWith("team") ? result : winnerId;
+    if (!side) return;
+
+    const wins = (this.state.seriesWins.get(side) || 0) + 1;
+    this.state.seriesWins.set(side, wins);
+    if (wins > this.config.series / 2) this.state.seriesWinner = side;
+  }
+
+  /**
+   * Replay file for the round that just ended (null when not recording).
+   */
+  takeReplay() {
+    const recording = this.recording;
+    if (!recording) return null;
+    this.recording = null;
+
+    return {
+      version: REPLAY_VERSION,
+      config: { ...this.config },
+      seed: recording.seed,
+      players: this.state.players.size,
+      grid: recording.grid,
+      hiddenPowerups: recording.hiddenPowerups,
+      inputs: recording.inputs,
+      ticks: this.tickCount,
+      result: this.state.result,
+    };
+  }
+
+  // --- Inputs ---
+
+  /**
+   * Queue an input for the next tick.
+   * seq: client sequence number for moves, acknowledged in player.inputSeq once processed
+   */
+  queueInput(id, action, seq = 0) {
+    if (this.state.status !== "playing") return;
+    if (!CLIENT_ACTIONS.includes(action)) return;
+    this.pendingInputs.push({ id, action, seq: Number.isInteger(seq) && seq > 0 ? seq : 0 });
+  }
+
+  // Inputs to apply this tick — from the replay log, or the live queue
+  collectInputs() {
+    if (this.inputLog) {
+      const idsByIndex = [];
+      this.state.players.forEach((p, id) => { idsByIndex[p.playerIndex] = id; });
+
+      const inputs = [];
+      while (this.inputCursor < this.inputLog.length && this.inputLog[this.inputCursor][0] <= this.tickCount) {
+        const [, playerIndex, code] = this.inputLog[this.inputCursor++];
+        inputs.push({ id: idsByIndex[playerIndex], action: CODE_ACTIONS[code] });
+      }
+      return inputs;
+    }
+
+    const inputs = this.pendingInputs;
+    this.pendingInputs = [];
+    return inputs;
+  }
+
+  // Apply this tick's inputs in arrival order. A move that comes in before the
+  // player's move delay is up waits for a later tick (along with everything that
+  // player sent after it) rather than being dropped, so a client pacing its own
+  // moves never sees one rejected. Only applied inputs are recorded.
+  applyInputs(inputs) {
+    // Recorded inputs already landed on this tick in the live match
+    if (this.inputLog) {
+      for (const input of inputs) this.applyInput(input.id, input.action);
+      return;
+    }
+
+    const deferred = [];
+    const deferredCount = {};
+
+    for (const input of inputs) {
+      const waiting = deferredCount[input.id] > 0;
+      if (!waiting && this.applyInput(input.id, input.action, input.seq)) {
+        this.recordInput(input);
+        continue;
+      }
+
+      deferredCount[input.id] = (deferredCount[input.id] || 0) + 1;
+      if (deferredCount[input.id] <= MAX_DEFERRED_INPUTS) {
+        deferred.push(input);
+      } else {
+        this.acknowledge(input);
+      }
+    }
+
+    this.pendingInputs = deferred.concat(this.pendingInputs);
+  }
+
+  /**
+   * Hand a player's entity to a bot (e.g. while its client reconnects) or back.
+   * Takes effect on the next tick through the input queue, so replays see it too.
+   */
+  setBotControl(id, enabled) {
+    const player = this.state.players.get(id);
+    if (!player) return;
+    player.botControlled = enabled;
+    if (this.state.status === "playing") {
+      this.pendingInputs.push({ id, action: enabled ? "botOn" : "botOff", seq: 0 });
+    }
+  }
+
+  // Returns false when a move has to wait for the player's move delay
+  applyInput(id, action, seq = 0) {
+    const player = this.state.players.get(id);
+    if (player && (action === "botOn" || action === "botOff")) {
+      player.botControlled = action === "botOn";
+      if (player.botControlled) {
+        this.botBrains[id] = new BotBrain(id, this.config.botDifficulty, this.cols, this.rows, this.rng);
+      } else {
+        delete this.botBrains[id];
+      }
+    } else if (player && player.alive) {
+      if (action === "bomb") {
+        this.placeBomb(player, id);
+      } else if (action === "detonate") {
+        this.detonateRemotes(id);
+      } else if (action === "fire") {
+        this.handleWeaponFire(player, id, false);
+      } else {
+        if (this.now - (this.playerLastMove[id] || 0) < player.moveDelay) return false;
+        this.moveEntity(player, id, action, this.playerLastMove);
+      }
+    }
+    this.acknowledge({ id, seq });
+    return true;
+  }
+
+  acknowledge({ id, seq }) {
+    const player = this.state.players.get(id);
+    if (player && seq > player.inputSeq) player.inputSeq = seq;
+  }
+
+  recordInput(input) {
+    if (!this.recording) return;
+    const player = this.state.players.get(input.id);
+    if (player) {
+      this.recording.inputs.push([this.tickCount, player.playerIndex, INPUT_CODES[input.action]]);
+    }
+  }
+
+  // --- Tick ---
+
+  step() {
+    if (this.state.status !== "playing") return;
+
+    this.now += TICK_MS;
+    this.tickCount++;
+    this.state.tick = this.tickCount;
+    const now = this.now;
+
+    this.applyInputs(this.collectInputs());
+    this.checkMonsterContact();
+    this.moveBombs(now);
+
+    // Check bomb timers and mines (a bomb in the air goes off when it lands)
+    const toExplode = [];
+    const expiredMines = [];
+    this.state.bombs.forEach((bomb, id) => {
+      if (bomb.airborne) return;
+      if (bomb.type !== "mine") {
+        if (now >= bomb.explodeAt) toExplode.push(id);
+      } else if (this.isMineTriggered(bomb)) {
+        toExplode.push(id);
+      } else if (now >= bomb.explodeAt) {
+        expiredMines.push(id);
+      }
+    });
+
+    // A mine nobody stepped on fizzles out quietly and frees its owner's bomb
+    for (const id of expiredMines) {
+      this.returnBomb(this.state.bombs.get(id));
+      this.state.bombs.delete(id);
+    }
+
+    for (const id of toExplode) {
+      const bomb = this.state.bombs.get(id);
+      if (!bomb) continue; // Already chain-detonated
+      this.detonateBomb(bomb);
+
+      this.returnBomb(bomb);
+
+      this.state.bombs.delete(id);
+    }
+
+    // Process respawns
+    this.respawnQueue = this.respawnQueue.filter(entry => {
+      if (now >= entry.respawnAt) {
+        const entity = entry.isNpc
+          ? this.state.npcs.get(entry.entityId)
+          : this.state.players.get(entry.entityId);
+        if (entity && !entity.alive && entity.lives > 0) {
+          entity.alive = true;
+          entity.x = entity.spawnX;
+          entity.y = entity.spawnY;
+          entity.respawnAt = 0;
+          resetLoadout(entity);
+          entity.invincibleUntil = now + 1500;
+        }
+        return false;
+      }
+      return true;
+    });
+
+    // Late-game events (powerup drops + shrinking border)
+    if (this.lateGameActive) this.tickLateGame(now);
+
+    if (this.config.gameMode === "ctf") this.updateFlags(now);
+    else if (this.config.gameMode === "koth") this.updateHill(now);
+
+    if (this.state.endsAt > 0) this.tickSuddenDeath(now);
+
+    // Check win condition every tick (respawns change alive counts)
+    this.checkWinCondition();
+
+    this.updateBots(TICK_MS);
+    this.checkMonsterContact();
+  }
+
+  getEntity(id) {
+    return this.state.players.get(id) || this.state.npcs.get(id);
+  }
+
+  // A detonated bomb goes back to its owner (capped: the owner may have respawned since).
+  // Bomblets were never taken from anyone.
+  returnBomb(bomb) {
+    if (bomb.type === "bomblet") return;
+    const owner = this.getEntity(bomb.ownerId);
+    if (owner) owner.bombsAvailable = Math.min(owner.bombsAvailable + 1, owner.maxBombs);
+  }
+
+  // --- Damage ---
+
+  killEntity(entity, entityId, isNpc, killerId) {
+    const now = this.now;
+
+    // Invincibility check
+    if (entity.invincibleUntil > now) return;
+
+    // Teammates' bombs and weapons pass through unless friendly fire is on
+    const killer = killerId && killerId !== entityId ? this.getEntity(killerId) : null;
+    const teamKill = !!killer && this.areAllies(killer, entity);
+    if (teamKill && !this.config.friendlyFire) return;
+
+    // Shield absorb
+    if (entity.hasShield) {
+      entity.hasShield = false;
+      this.emit("shieldAbsorb", { entityId });
+      return;
+    }
+
+    entity.alive = false;
+    entity.deaths++;
+    this.dropFlag(entityId, entity);
+    if (entity.kind && entity.kind !== "bomber") this.state.score += monsterPoints(entity.kind);
+
+    // Credit the kill (own bombs count as a suicide instead; team kills score nothing)
+    if (killerId === entityId) {
+      entity.suicides++;
+    } else if (killer && !teamKill) {
+      killer.kills++;
+    }
+
+    // Classic mode: permanent death
+    if (this.config.gameMode === "classic") {
+      entity.lives = 0;
+      return;
+    }
+
+    // Decrement lives
+    entity.lives--;
+
+    if (entity.lives <= 0) return; // Permanently dead
+
+    // Schedule respawn
+    const delay = ENDLESS_MODES.includes(this.config.gameMode) ? 1500 : 2000;
+    entity.respawnAt = now + delay;
+    this.respawnQueue.push({
+      entityId,
+      respawnAt: entity.respawnAt,
+      isNpc,
+    });
+  }
+
+  // Kill every living entity standing on one of `tiles` (except `skipId`)
+  killEntitiesOnTiles(tiles, killerId, skipId = null) {
+    this.state.players.forEach((player, sessionId) => {
+      if (!player.alive || sessionId === skipId) return;
+      for (const t of tiles) {
+        if (t.x === player.x && t.y === player.y) {
+          this.killEntity(player, sessionId, false, killerId);
+          break;
+        }
+      }
+    });
+
+    this.state.npcs.forEach((npc, npcId) => {
+      if (!npc.alive || npcId === skipId) return;
+      for (const t of tiles) {
+        if (t.x === npc.x && t.y === npc.y) {
+          this.killEntity(npc, npcId, true, killerId);
+          break;
+        }
+      }
+    });
+  }
+
+  // Destroy blocks, revealing hidden powerups; starts the late game once none remain
+  destroyBlocks(destroyed) {
+    for (const d of destroyed) {
+      const hidden = this.hiddenPowerups[d.y][d.x];
+      if (hidden > 0) {
+        this.setTile(d.x, d.y, hidden);
+        this.hiddenPowerups[d.y][d.x] = 0;
+      } else {
+        this.setTile(d.x, d.y, EMPTY);
+      }
+    }
+    this.blockCount -= destroyed.length;
+    // The campaign has no late game: stages end at the exit
+    if (this.blockCount <= 0 && !this.lateGameActive && this.config.gameMode !== "campaign") {
+      this.lateGameActive = true;
+      this.lateGameStartedAt = this.now;
+    }
+  }
+
+  setTile(x, y, tile) {
+    this.grid[y][x] = tile;
+    this.state.map[y * this.cols + x] = tile;
+  }
+
+  // Bomb ids standing on any of `tiles`
+  findBombsOnTiles(tiles) {
+    const ids = [];
+    this.state.bombs.forEach((bomb, id) => {
+      if (bomb.airborne) return;
+      for (const t of tiles) {
+        if (t.x === bomb.x && t.y === bomb.y) {
+          ids.push(id);
+          break;
+        }
+      }
+    });
+    return ids;
+  }
+
+  chainDetonate(bombIds) {
+    for (const id of bombIds) {
+      const chainBomb = this.state.bombs.get(id);
+      if (chainBomb) {
+        this.returnBomb(chainBomb);
+        this.state.bombs.delete(id);
+        this.detonateBomb(chainBomb);
+      }
+    }
+  }
+
+  detonateBomb(bomb) {
+    // Blast shape depends on the bomb type (weapons handle their own patterns)
+    const { tiles, destroyed } = computeBombExplosion(this.grid, bomb, this.cols, this.rows);
+
+    this.destroyBlocks(destroyed);
+    this.killEntitiesOnTiles(tiles, bomb.ownerId);
+
+    const chainsToExplode = this.findBombsOnTiles(tiles);
+    this.emit("explosion", { tiles });
+    // Bomblets are in the air while the chain goes off, so they survive it
+    if (bomb.type === "cluster") this.scatterBomblets(bomb);
+    this.chainDetonate(chainsToExplode);
+  }
+
+  handleWeaponFire(entity, entityId, isNpc) {
+    if (!entity.alive) return;
+    if (entity.powerupType === 0 || entity.powerupUses <= 0) return;
+
+    this.fireWeapon(entity, entityId, isNpc);
+  }
+
+  fireWeapon(entity, entityId, isNpc) {
+    const dir = entity.facing;
+
+    let result;
+    let weaponType;
+    if (entity.powerupType === 1) {
+      result = computeFlamethrowerShot(this.grid, entity.x, entity.y, dir, this.cols, this.rows);
+      weaponType = "flamethrower";
+    } else if (entity.powerupType === 2) {
+      result = computeRaygunShot(this.grid, entity.x, entity.y, dir, this.cols, this.rows);
+      weaponType = "raygun";
+    } else {
+      return;
+    }
+
+    const { tiles, destroyed } = result;
+
+    // Decrement uses
+    entity.powerupUses--;
+    if (entity.powerupUses <= 0) {
+      entity.powerupType = 0;
+      entity.powerupUses = 0;
+    }
+
+    this.destroyBlocks(destroyed);
+    this.killEntitiesOnTiles(tiles, entityId, entityId);
+
+    const chainsToExplode = this.findBombsOnTiles(tiles);
+    this.emit("weaponFire", { tiles, weaponType, dir, originX: entity.x, originY: entity.y });
+    this.chainDetonate(chainsToExplode);
+  }
+
+  // --- Late game ---
+
+  tickLateGame(now) {
+    const cols = this.cols;
+    const rows = this.rows;
+
+    // Periodic powerup drops every 8 seconds
+    if (now - this.lastPowerupDrop >= 8000) {
+      this.lastPowerupDrop = now;
+
+      // Count existing powerups on map (cap at 5)
+      let powerupsOnMap = 0;
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          if (isPowerupTile(this.grid[y][x])) powerupsOnMap++;
+        }
+      }
+
+      if (powerupsOnMap < 5) {
+        // Collect empty tiles
+        const empties = [];
+        for (let y = 1; y < rows - 1; y++) {
+          for (let x = 1; x < cols - 1; x++) {
+            if (this.grid[y][x] === EMPTY) empties.push({ x, y });
+          }
+        }
+        if (empties.length > 0) {
+          const spot = empties[Math.floor(this.rng() * empties.length)];
+          const pType = pickPowerup(this.rng);
+          this.setTile(spot.x, spot.y, pType);
+          this.emit("powerupDrop", { x: spot.x, y: spot.y });
+        }
+      }
+    }
+
+    // Shrinking border — starts 30s after late game begins
+    if (now - this.lateGameStartedAt >= 30000) this.shrinkBorder(now);
+  }
+
+  // Whether ring `ring` can still close without leaving less than 5x5 to play in
+  canCloseRing(ring) {
+    return this.cols - 2 * (ring + 1) >= 5 && this.rows - 2 * (ring + 1) >= 5;
+  }
+
+  // Turn the next ring of the map into walls, at most once per SHRINK_INTERVAL
+  shrinkBorder(now) {
+    const cols = this.cols;
+    const rows = this.rows;
+    const ring = this.shrinkRing;
+    if (now - this.lastShrink < SHRINK_INTERVAL || !this.canCloseRing(ring)) return;
+
+    this.lastShrink = now;
+    const shrinkTiles = [];
+
+    // Top and bottom edges of this ring
+    for (let x = ring; x < cols - ring; x++) {
+      if (this.grid[ring][x] !== WALL) shrinkTiles.push({ x, y: ring });
+      if (this.grid[rows - 1 - ring][x] !== WALL) shrinkTiles.push({ x, y: rows - 1 - ring });
+    }
+    // Left and right edges (excluding corners already covered)
+    for (let y = ring + 1; y < rows - 1 - ring; y++) {
+      if (this.grid[y][ring] !== WALL) shrinkTiles.push({ x: ring, y });
+      if (this.grid[y][cols - 1 - ring] !== WALL) shrinkTiles.push({ x: cols - 1 - ring, y });
+    }
+
+    this.dropWalls(shrinkTiles);
+    this.emit("shrink", { tiles: shrinkTiles });
+    this.shrinkRing++;
+  }
+
+  // Convert tiles to walls, killing whoever stands there and setting off bombs caught in them
+  dropWalls(tiles) {
+    for (const t of tiles) {
+      this.setTile(t.x, t.y, WALL);
+    }
+    this.killEntitiesOnTiles(tiles, null);
+    this.chainDetonate(this.findBombsOnTiles(tiles));
+  }
+
+  // --- Timed rounds ---
+
+  // Sudden death takes over the last SUDDEN_DEATH_LENGTH of a timed round
+  // (the time-up result itself is checked with the other win conditions)
+  tickSuddenDeath(now) {
+    if (!this.state.suddenDeathActive) {
+      if (now < this.state.endsAt - SUDDEN_DEATH_LENGTH) return;
+      this.state.suddenDeathActive = true;
+      this.emit("suddenDeath", { style: this.config.suddenDeath });
+    }
+
+    if (this.config.suddenDeath === "shrink") this.shrinkBorder(now);
+    else if (this.config.suddenDeath === "spiral") this.dropSpiralWall(now);
+    else this.rainBomb(now);
+  }
+
+  // Walls fall one tile at a time, clockwise round each ring from the outside
+  // in, over the same rings the shrink would close
+  dropSpiralWall(now) {
+    if (now - this.lastSpiralDrop < SPIRAL_DROP_INTERVAL) return;
+    this.lastSpiralDrop = now;
+
+    if (!this.spiralTiles) {
+      this.spiralTiles = [];
+      const { cols, rows } = this;
+      for (let ring = 1; this.canCloseRing(ring); ring++) {
+        const right = cols - 1 - ring;
+        const bottom = rows - 1 - ring;
+        for (let x = ring; x <= right; x++) this.spiralTiles.push({ x, y: ring });
+        for (let y = ring + 1; y <= bottom; y++) this.spiralTiles.push({ x: right, y });
+        for (let x = right - 1; x >= ring; x--) this.spiralTiles.push({ x, y: bottom });
+        for (let y = bottom - 1; y > ring; y--) this.spiralTiles.push({ x: ring, y });
+      }
+    }
+
+    // Pillars and tiles the late-game shrink already took are skipped
+    let tile;
+    while ((tile = this.spiralTiles.shift()) && this.grid[tile.y][tile.x] === WALL);
+    if (!tile) return;
+
+    this.dropWalls([tile]);
+    this.emit("wallDrop", { tiles: [tile] });
+  }
+
+  // A bomb lands on a random open tile every BOMB_RAIN_INTERVAL. It has no
+  // owner, so nobody is credited with its kills.
+  rainBomb(now) {
+    if (now - this.lastBombRain < BOMB_RAIN_INTERVAL) return;
+    this.lastBombRain = now;
+
+    const open = [];
+    for (let y = 1; y < this.rows - 1; y++) {
+      for (let x = 1; x < this.cols - 1; x++) {
+        if (this.grid[y][x] === EMPTY) open.push({ x, y });
+      }
+    }
+    const free = open.filter((t) => this.findBombsOnTiles([t]).length === 0);
+    if (free.length === 0) return;
+
+    const spot = free[Math.floor(this.rng() * free.length)];
+    this.addBomb(spot.x, spot.y, "", "normal", DEFAULT_POWER, BOMB_FUSE);
+  }
+
+  // Time's up: the best side by the mode's own score (captures, hill time or
+  // kills), then by the host's tie-break. Sides already knocked out can't win;
+  // a dead heat is a draw.
+  endOnTime() {
+    const mode = this.config.gameMode;
+    const endless = ENDLESS_MODES.includes(mode);
+    const scoreOf = (e) => (mode === "ctf" ? e.captures : mode === "koth" ? e.holdTime : mode === "kills" ? e.kills : 0);
+
+    const sides = new Map();
+    for (const [id, entity] of this.entitiesInSeatOrder()) {
+      const key = this.sideOf(id, entity);
+      const side = sides.get(key) || { id, entity, score: 0, kills: 0, lives: 0, standing: false };
+      side.score += scoreOf(entity);
+      side.kills += entity.kills;
+      side.lives += entity.lives;
+      side.standing = side.standing || entity.alive || entity.lives > 0;
+      sides.set(key, side);
+    }
+
+    const order = this.config.tieBreak === "kills" ? ["score", "kills", "lives"] : ["score", "lives", "kills"];
+    const compare = (a, b) => {
+      for (const key of order) {
+        if (a[key] !== b[key]) return b[key] - a[key];
+      }
+      return 0;
+    };
+    const ranked = [...sides.values()].filter((s) => endless || s.standing).sort(compare);
+
+    if (ranked.length === 0 || (ranked.length > 1 && compare(ranked[0], ranked[1]) === 0)) {
+      this.endGame("draw");
+      return;
+    }
+    const best = ranked[0];
+    if (this.config.teams !== "off") this.endGame(resultFor({ team: best.entity.team }));
+    else this.endGame(resultFor({ ...best.entity, isNpc: this.state.npcs.has(best.id) }), best.id);
+  }
+
+  // --- Win conditions ---
+
+  checkWinCondition() {
+    if (this.state.status !== "playing") return;
+    if (this.config.gameMode === "campaign") {
+      return this.checkCampaign();
+    }
+    if (this.config.gameMode === "ctf" || this.config.gameMode === "koth") {
+      this.checkObjectiveWin();
+    } else if (this.config.gameMode === "kills") {
+      this.checkKillsWin();
+    } else {
+      this.checkLastStandingWin();
+    }
+    if (this.state.status === "playing" && this.state.endsAt > 0 && this.now >= this.state.endsAt) {
+      this.endOnTime();
+    }
+  }
+
+  checkLastStandingWin() {
+    const entities = [];
+
+    this.state.players.forEach((player, sessionId) => {
+      // Entity is "out" if dead with no lives remaining and not respawning
+      const isOut = !player.alive && player.lives <= 0;
+      entities.push({ id: sessionId, out: isOut, isNpc: false, playerIndex: player.playerIndex, team: player.team });
+    });
+
+    this.state.npcs.forEach((npc, npcId) => {
+      const isOut = !npc.alive && npc.lives <= 0;
+      entities.push({ id: npcId, out: isOut, isNpc: true, team: npc.team });
+    });
+
+    if (entities.length < 2) return;
+
+    const remaining = entities.filter(e => !e.out);
+
+    if (remaining.length === 0) {
+      this.endGame("draw");
+    } else if (this.config.teams !== "off") {
+      // Last team standing; there's no single winner to name
+      if (remaining.every((e) => e.team === remaining[0].team)) this.endGame(resultFor(remaining[0]));
+    } else if (remaining.length === 1) {
+      this.endGame(resultFor(remaining[0]), remaining[0].id);
+    }
+  }
+
+  checkKillsWin() {
+    if (this.config.teams !== "off") return this.checkTeamKillsWin();
+
+    let winner = null;
+
+    this.state.players.forEach((player, sessionId) => {
+      if (player.kills >= this.config.killTarget) {
+        if (!winner || player.kills > winner.kills) {
+          winner = { isNpc: false, id: sessionId, playerIndex: player.playerIndex, kills: player.kills };
+        }
+      }
+    });
+
+    this.state.npcs.forEach((npc, npcId) => {
+      if (npc.kills >= this.config.killTarget) {
+        if (!winner || npc.kills > winner.kills) {
+          winner = { isNpc: true, id: npcId, kills: npc.kills };
+        }
+      }
+    });
+
+    if (winner) {
+      this.endGame(resultFor(winner), winner.id);
+    }
+  }
+
+  // Team games pool their kills toward the target
+  checkTeamKillsWin() {
+    const teamKills = [0, 0, 0];
+    for (const entity of [...this.state.players.values(), ...this.state.npcs.values()]) {
+      teamKills[entity.team] += entity.kills;
+    }
+    const team = teamKills[1] >= teamKills[2] ? 1 : 2;
+    if (teamKills[team] >= this.config.killTarget) {
+      this.endGame(resultFor({ team }));
+    }
+  }
+
+  checkObjectiveWin() {
+    const ctf = this.config.gameMode === "ctf";
+    const target = ctf ? this.config.captureTarget : this.config.holdTarget * 1000;
+
+    // Points per side; a side is the entity, or its team in team games
+    const totals = new Map();
+    for (const [id, entity] of this.entitiesInSeatOrder()) {
+      const side = this.sideOf(id, entity);
+      const points = (totals.get(side)?.points || 0) + (ctf ? entity.captures : entity.holdTime);
+      totals.set(side, { points, id, entity: totals.get(side)?.entity || entity });
+    }
+
+    let winner = null;
+    for (const total of totals.values()) {
+      if (total.points >= target && (!winner || total.points > winner.points)) winner = total;
+    }
+    if (!winner) return;
+    if (this.config.teams !== "off") this.endGame(resultFor({ team: winner.entity.team }));
+    else this.endGame(resultFor({ ...winner.entity, isNpc: this.state.npcs.has(winner.id) }), winner.id);
+  }
+
+  // --- Objectives (ctf, koth) ---
+
+  // Players in seat order, then NPCs: the order objectives are checked in, so replays agree
+  entitiesInSeatOrder() {
+    const players = [...this.state.players].sort(([, a], [, b]) => a.playerIndex - b.playerIndex);
+    return [...players, ...this.state.npcs];
+  }
+
+  // Who an entity scores for: its team in team games, otherwise itself
+  sideOf(id, entity) {
+    return entity.team > 0 ? `team${entity.team}` : id;
+  }
+
+  setUpObjectives() {
+    this.state.flags.clear();
+    if (this.config.gameMode === "ctf") {
+      // A flag at each side's spawn (a team's is at its first member's)
+      for (const [id, entity] of this.entitiesInSeatOrder()) {
+        const side = this.sideOf(id, entity);
+        if (this.state.flags.has(side)) continue;
+        this.state.flags.set(side, {
+          side,
+          x: entity.spawnX,
+          y: entity.spawnY,
+          homeX: entity.spawnX,
+          homeY: entity.spawnY,
+          carrierId: "",
+          droppedAt: 0,
+        });
+      }
+    } else if (this.config.gameMode === "koth") {
+      this.placeFirstHill();
+      this.state.hillMovesAt = this.now + HILL_MOVE_INTERVAL;
+    }
+  }
+
+  // The hill starts in the middle, or as near it as the layout leaves standing room
+  placeFirstHill() {
+    const midX = Math.floor(this.cols / 2);
+    const midY = Math.floor(this.rows / 2);
+    let best = null;
+    for (let y = 1; y < this.rows - 1; y++) {
+      for (let x = 1; x < this.cols - 1; x++) {
+        if (this.grid[y][x] === WALL) continue;
+        const distance = Math.max(Math.abs(x - midX), Math.abs(y - midY));
+        if (!best || distance < best.distance) best = { x, y, distance };
+      }
+    }
+    const centred = best.distance <= HILL_RADIUS;
+    this.state.hillX = centred ? midX : best.x;
+    this.state.hillY = centred ? midY : best.y;
+  }
+
+  // A dying (or leaving) carrier leaves the flag where they stood
+  dropFlag(id, entity) {
+    for (const flag of this.state.flags.values()) {
+      if (flag.carrierId !== id) continue;
+      flag.carrierId = "";
+      flag.x = entity.x;
+      flag.y = entity.y;
+      flag.droppedAt = this.now;
+    }
+  }
+
+  returnFlag(flag) {
+    flag.carrierId = "";
+    flag.x = flag.homeX;
+    flag.y = flag.homeY;
+    flag.droppedAt = 0;
+  }
+
+  isFlagHome(flag) {
+    return !flag.carrierId && flag.x === flag.homeX && flag.y === flag.homeY;
+  }
+
+  // Touching your own dropped flag sends it home; touching an enemy flag picks
+  // it up; carrying one onto your own flag's base (with your flag there) scores
+  updateFlags(now) {
+    for (const flag of this.state.flags.values()) {
+      if (!flag.carrierId && flag.droppedAt && now - flag.droppedAt >= FLAG_RETURN_TIME) this.returnFlag(flag);
+    }
+
+    for (const [id, entity] of this.entitiesInSeatOrder()) {
+      if (!entity.alive) continue;
+      const side = this.sideOf(id, entity);
+      const ownFlag = this.state.flags.get(side);
+      const carried = [...this.state.flags.values()].find((f) => f.carrierId === id);
+
+      for (const flag of this.state.flags.values()) {
+        if (flag.carrierId || flag.x !== entity.x || flag.y !== entity.y) continue;
+        if (flag.side === side) {
+          if (!this.isFlagHome(flag)) this.returnFlag(flag);
+        } else if (!carried) {
+          flag.carrierId = id;
+          flag.droppedAt = 0;
+          this.emit("flagTaken", { side: flag.side, carrierId: id });
+          break;
+        }
+      }
+
+      if (carried && ownFlag && this.isFlagHome(ownFlag) && entity.x === ownFlag.homeX && entity.y === ownFlag.homeY) {
+        entity.captures++;
+        this.returnFlag(carried);
+        this.emit("flagCaptured", { side: carried.side, carrierId: id });
+      }
+    }
+
+    // Carried flags ride along with their carrier
+    for (const flag of this.state.flags.values()) {
+      const carrier = flag.carrierId && this.getEntity(flag.carrierId);
+      if (carrier) {
+        flag.x = carrier.x;
+        flag.y = carrier.y;
+      }
+    }
+  }
+
+  isOnHill(entity) {
+    return Math.abs(entity.x - this.state.hillX) <= HILL_RADIUS && Math.abs(entity.y - this.state.hillY) <= HILL_RADIUS;
+  }
+
+  // The hill scores for a side while that side has it to itself (the first of
+  // its members in seat order takes the time), and jumps elsewhere now and then
+  updateHill(now) {
+    const holders = this.entitiesInSeatOrder().filter(([, e]) => e.alive && this.isOnHill(e));
+    const sides = new Set(holders.map(([id, e]) => this.sideOf(id, e)));
+    if (sides.size === 1) holders[0][1].holdTime += TICK_MS;
+
+    if (now >= this.state.hillMovesAt) {
+      const spots = [];
+      for (let y = 1 + HILL_RADIUS; y < this.rows - 1 - HILL_RADIUS; y++) {
+        for (let x = 1 + HILL_RADIUS; x < this.cols - 1 - HILL_RADIUS; x++) {
+          const far = Math.abs(x - this.state.hillX) + Math.abs(y - this.state.hillY) >= 4;
+          if (far && this.grid[y][x] !== WALL) spots.push({ x, y });
+        }
+      }
+      if (spots.length > 0) {
+        const spot = spots[Math.floor(this.rng() * spots.length)];
+        this.state.hillX = spot.x;
+        this.state.hillY = spot.y;
+        this.emit("hillMoved", { x: spot.x, y: spot.y });
+      }
+      this.state.hillMovesAt = now + HILL_MOVE_INTERVAL;
+    }
+  }
+
+  // Where a bot should be heading for the objective: { x, y, radius } (null outside ctf/koth)
+  botObjective(id, entity) {
+    if (this.config.gameMode === "koth") {
+      return { x: this.state.hillX, y: this.state.hillY, radius: HILL_RADIUS };
+    }
+    if (this.config.gameMode !== "ctf") return null;
+
+    const side = this.sideOf(id, entity);
+    const flags = [...this.state.flags.values()];
+    const ownFlag = this.state.flags.get(side);
+    // Carrying: head home. Own flag taken: hunt the carrier, since nobody on
+    // our side can score until it is back. Own flag lying loose: bring it
+    // back. Otherwise go for the nearest enemy flag nobody on our side has.
+    if (flags.some((f) => f.carrierId === id) && ownFlag) {
+      return { x: ownFlag.homeX, y: ownFlag.homeY, radius: 0 };
+    }
+    const thief = ownFlag && ownFlag.carrierId && this.getEntity(ownFlag.carrierId);
+    if (thief) {
+      return { x: thief.x, y: thief.y, radius: 0 };
+    }
+    if (ownFlag && !ownFlag.carrierId && !this.isFlagHome(ownFlag)) {
+      return { x: ownFlag.x, y: ownFlag.y, radius: 0 };
+    }
+    let best = null;
+    for (const flag of flags) {
+      if (flag.side === side) continue;
+      const carrier = flag.carrierId && this.getEntity(flag.carrierId);
+      if (carrier && this.sideOf(flag.carrierId, carrier) === side) continue;
+      const dist = Math.abs(flag.x - entity.x) + Math.abs(flag.y - entity.y);
+      if (!best || dist < best.dist) best = { x: flag.x, y: flag.y, radius: 0, dist };
+    }
+    return best;
+  }
+
+  // --- Campaign ---
+
+  // The exit opens once the stage's monsters are all dead; any player reaching
+  // it clears the stage. Losing every player's last life ends the run.
+  checkCampaign() {
+    const players = [...this.state.players.values()];
+    if (players.length === 0) return;
+    if (players.every((p) => !p.alive && p.lives <= 0)) {
+      this.endGame("defeat");
+      return;
+    }
+
+    this.state.exitOpen = ![...this.state.npcs.values()].some((npc) => npc.alive);
+    if (!this.state.exitOpen) return;
+    if (!players.some((p) => p.alive && this.grid[p.y][p.x] === EXIT)) return;
+
+    const stage = this.state.stage;
+    this.state.score += STAGE_CLEAR_BONUS * stage;
+    this.emit("stageClear", { stage, score: this.state.score });
+    if (stage >= CAMPAIGN_STAGES) {
+      this.endGame("victory");
+    } else {
+      this.advanceStage();
+    }
+  }
+
+  // Next stage on a fresh map (drawn from the round's rng, so replays rebuild it).
+  // Players keep their lives, score and powerups; anyone waiting to respawn is back.
+  advanceStage() {
+    const stage = this.state.stage + 1;
+    const { grid, hiddenPowerups } = this.buildMap(createRng(Math.floor(this.rng() * 0x100000000)), true);
+    this.loadMap(grid, hiddenPowerups);
+    this.state.stage = stage;
+    this.state.exitOpen = false;
+    this.state.bombs.clear();
+    this.respawnQueue = [];
+
+    this.state.players.forEach((player) => {
+      if (player.lives <= 0) return;
+      if (!player.alive) resetLoadout(player);
+      player.alive = true;
+      player.respawnAt = 0;
+      player.x = player.spawnX;
+      player.y = player.spawnY;
+      player.facing = "down";
+      player.bombsAvailable = player.maxBombs;
+      player.invincibleUntil = this.now + 1500;
+    });
+
+    this.spawnMonsters(stage);
+    this.assignTeams();
+  }
+
+  // Replace the NPCs with the stage's monsters, on open floor well away from the players
+  spawnMonsters(stage) {
+    this.state.npcs.clear();
+    this.monsterBrains = {};
+    this.npcLastMove = {};
+
+    const spawns = this.spawnSlots().players;
+    const open = [];
+    for (let y = 1; y < this.rows - 1; y++) {
+      for (let x = 1; x < this.cols - 1; x++) {
+        const farEnough = spawns.every((s) => Math.abs(s.x - x) + Math.abs(s.y - y) >= 5);
+        if (this.grid[y][x] === EMPTY && farEnough) open.push({ x, y });
+      }
+    }
+
+    stageRoster(stage).forEach((kind, i) => {
+      if (open.length === 0) return;
+      const spot = open.splice(Math.floor(this.rng() * open.length), 1)[0];
+      const id = `monster_${i}`;
+      const monster = createNpc(i, "");
+      monster.kind = kind;
+      monster.moveDelay = stageMoveDelay(kind, stage);
+      monster.x = monster.spawnX = spot.x;
+      monster.y = monster.spawnY = spot.y;
+      this.state.npcs.set(id, monster);
+      this.monsterBrains[id] = new MonsterBrain(kind, this.cols, this.rows, this.rng);
+    });
+  }
+
+  moveMonster(monster, id, players) {
+    const now = this.now;
+    if (now - (this.npcLastMove[id] || 0) < monster.moveDelay) return;
+
+    const dir = this.monsterBrains[id].update(monster, this.grid, this.state.bombs, players);
+    if (!dir) return;
+    const { dx, dy } = DIR_MAP[dir];
+    monster.facing = dir;
+    if (!canMonsterEnter(monster.kind, this.grid, this.state.bombs, monster.x + dx, monster.y + dy, this.cols, this.rows)) return;
+    monster.x += dx;
+    monster.y += dy;
+    this.npcLastMove[id] = now;
+  }
+
+  // Monsters kill any player they touch
+  checkMonsterContact() {
+    this.state.npcs.forEach((monster, monsterId) => {
+      if (!monster.alive || monster.kind === "bomber") return;
+      this.state.players.forEach((player, sessionId) => {
+        if (player.alive && player.x === monster.x && player.y === monster.y) {
+          this.killEntity(player, sessionId, false, monsterId);
+        }
+      });
+    });
+  }
+
+  // --- Movement and bombs (shared by players and NPCs) ---
+
+  moveEntity(entity, id, dir, lastMoves) {
+    const now = this.now;
+    const lastMove = lastMoves[id] || 0;
+    if (now - lastMove < entity.moveDelay) return;
+
+    const delta = DIR_MAP[dir];
+    if (!delta) return;
+
+    entity.facing = dir;
+
+    const nx = entity.x + delta.dx;
+    const ny = entity.y + delta.dy;
+
+    if (!canMoveTo((x, y) => this.grid[y][x], this.state.bombs, nx, ny, this.cols, this.rows)) {
+      // Walking into a bomb with the kick sends it sliding instead (the kicker stays put)
+      if (entity.canKick && this.kickBomb(nx, ny, dir)) lastMoves[id] = now;
+      return;
+    }
+
+    entity.x = nx;
+    entity.y = ny;
+    // While walking without pause, keep the cadence rather than restarting it on
+    // this tick, so delays between whole ticks still average out (90ms alternates
+    // one- and two-tick steps)
+    lastMoves[id] = now - lastMove < entity.moveDelay + TICK_MS ? lastMove + entity.moveDelay : now;
+
+    // Powerup pickup
+    const tileAtNew = this.grid[ny][nx];
+    if (isPowerupTile(tileAtNew)) {
+      applyPowerup(entity, tileAtNew);
+      entity.powerups++;
+      this.setTile(nx, ny, EMPTY);
+    }
+  }
+
+  placeBomb(entity, id) {
+    // With the glove, using a bomb while standing on one throws it instead
+    const underfoot = this.movableBombAt(entity.x, entity.y);
+    if (underfoot && entity.canThrow) {
+      this.throwBomb(underfoot, entity.facing);
+      return;
+    }
+
+    if (entity.bombsAvailable <= 0) return;
+
+    let occupied = false;
+    this.state.bombs.forEach((bomb) => {
+      if (bomb.x === entity.x && bomb.y === entity.y) occupied = true;
+    });
+    if (occupied) return;
+
+    // Remote bombs wait for the owner's trigger (with a long backup fuse); mines
+    // wait for an opponent, and their "fuse" is when they fizzle out instead
+    const type = entity.bombType;
+    const fuse = type === "remote" ? REMOTE_FUSE : type === "mine" ? MINE_LIFETIME : BOMB_FUSE;
+    this.addBomb(entity.x, entity.y, id, type, entity.power, fuse);
+    entity.bombsAvailable--;
+  }
+
+  addBomb(x, y, ownerId, type, power, fuse, flight = 0) {
+    const bomb = {
+      x,
+      y,
+      ownerId,
+      type,
+      explodeAt: this.now + flight + fuse,
+      power,
+      slideDir: "",           // set while a kicked bomb is sliding
+      airborne: flight > 0,   // true while a thrown bomb is in the air
+      landsAt: this.now + flight,
+      armedAt: type === "mine" ? this.now + MINE_ARM_TIME : 0,
+    };
+    this.state.bombs.set(`b${this.bombIdCounter++}`, bomb);
+    return bomb;
+  }
+
+  // --- Special bomb types ---
+
+  // The owner's trigger sets off all of their remote bombs that have landed
+  detonateRemotes(ownerId) {
+    const ids = [];
+    this.state.bombs.forEach((bomb, bombId) => {
+      if (bomb.ownerId === ownerId && bomb.type === "remote" && !bomb.airborne) ids.push(bombId);
+    });
+    this.chainDetonate(ids);
+  }
+
+  // Armed mines go off under any living entity except their owner
+  isMineTriggered(mine) {
+    if (this.now < mine.armedAt) return false;
+    const owner = this.getEntity(mine.ownerId);
+    for (const [id, entity] of [...this.state.players, ...this.state.npcs]) {
+      if (id === mine.ownerId || (owner && this.areAllies(owner, entity))) continue;
+      if (entity.alive && entity.x === mine.x && entity.y === mine.y) return true;
+    }
+    return false;
+  }
+
+  // Cluster bombs throw a bomblet CLUSTER_SPREAD tiles out in each direction that has room
+  scatterBomblets(bomb) {
+    for (const { dx, dy } of Object.values(DIR_MAP)) {
+      const x = bomb.x + dx * CLUSTER_SPREAD;
+      const y = bomb.y + dy * CLUSTER_SPREAD;
+      if (x < 0 || x >= this.cols || y < 0 || y >= this.rows || !this.canBombLand(null, x, y)) continue;
+      this.addBomb(x, y, bomb.ownerId, "bomblet", BOMBLET_POWER, BOMBLET_FUSE, THROW_FLIGHT);
+    }
+  }
+
+  // A bot holding remote bombs sets them off once it is out of all their blasts
+  // (and so are its teammates, when friendly fire could hurt them)
+  botDetonate(entity, id) {
+    const spared = [entity];
+    if (this.config.friendlyFire) {
+      for (const other of [...this.state.players.values(), ...this.state.npcs.values()]) {
+        if (other.alive && this.areAllies(entity, other)) spared.push(other);
+      }
+    }
+
+    let owned = false;
+    for (const bomb of this.state.bombs.values()) {
+      if (bomb.ownerId !== id || bomb.type !== "remote" || bomb.airborne) continue;
+      owned = true;
+      const { tiles } = computeBombExplosion(this.grid, bomb, this.cols, this.rows);
+      if (tiles.some((t) => spared.some((e) => t.x === e.x && t.y === e.y))) return;
+    }
+    if (owned) this.detonateRemotes(id);
+  }
+
+  // --- Kicked and thrown bombs ---
+
+  // The bomb on a tile that can be kicked or thrown, if any (mines are hidden,
+  // cluster bombs stick where they're placed)
+  movableBombAt(x, y) {
+    for (const bomb of this.state.bombs.values()) {
+      if (bomb.x === x && bomb.y === y && !bomb.airborne && bomb.type !== "mine" && bomb.type !== "cluster") return bomb;
+    }
+    return null;
+  }
+
+  kickBomb(x, y, dir) {
+    const bomb = this.movableBombAt(x, y);
+    const delta = DIR_MAP[dir];
+    if (!bomb || bomb.slideDir || !this.canBombSlideTo(x + delta.dx, y + delta.dy)) return false;
+    bomb.slideDir = dir;
+    return true;
+  }
+
+  // Sliding bombs stop at walls, blocks, other bombs and living entities
+  canBombSlideTo(x, y) {
+    if (!canMoveTo((tx, ty) => this.grid[ty][tx], this.state.bombs, x, y, this.cols, this.rows)) return false;
+    for (const entity of [...this.state.players.values(), ...this.state.npcs.values()]) {
+      if (entity.alive && entity.x === x && entity.y === y) return false;
+    }
+    return true;
+  }
+
+  // Thrown bombs fly THROW_DISTANCE tiles, wrapping around the map edge and
+  // bouncing on a tile at a time past anywhere they can't land. The line always
+  // comes back to the bomb's own tile, so a landing spot always exists.
+  throwBomb(bomb, dir) {
+    const { dx, dy } = DIR_MAP[dir];
+    let x = bomb.x;
+    let y = bomb.y;
+    for (let i = 0; i < THROW_DISTANCE || !this.canBombLand(bomb, x, y); i++) {
+      x = (x + dx + this.cols) % this.cols;
+      y = (y + dy + this.rows) % this.rows;
+    }
+    bomb.x = x;
+    bomb.y = y;
+    bomb.slideDir = "";
+    bomb.airborne = true;
+    bomb.landsAt = this.now + THROW_FLIGHT;
+  }
+
+  canBombLand(bomb, x, y) {
+    const tile = this.grid[y][x];
+    if (tile === WALL || tile === BLOCK) return false;
+    for (const other of this.state.bombs.values()) {
+      if (other !== bomb && other.x === x && other.y === y) return false;
+    }
+    return true;
+  }
+
+  // Slide kicked bombs a tile and land thrown ones
+  moveBombs(now) {
+    this.state.bombs.forEach((bomb) => {
+      if (bomb.airborne) {
+        if (now >= bomb.landsAt) bomb.airborne = false;
+      } else if (bomb.slideDir) {
+        const { dx, dy } = DIR_MAP[bomb.slideDir];
+        if (this.canBombSlideTo(bomb.x + dx, bomb.y + dy)) {
+          bomb.x += dx;
+          bomb.y += dy;
+        } else {
+          bomb.slideDir = "";
+        }
+      }
+    });
+  }
+
+  // --- Bots ---
+
+  updateBots(dt) {
+    if (this.state.status !== "playing") return;
+
+    const now = this.now;
+
+    const alivePlayers = [];
+    this.state.players.forEach((player, sessionId) => {
+      if (player.alive) {
+        alivePlayers.push({ x: player.x, y: player.y, id: sessionId, team: player.team, moveDelay: player.moveDelay });
+      }
+    });
+    const aliveNpcs = [];
+    this.state.npcs.forEach((npc, npcId) => {
+      if (npc.alive) aliveNpcs.push({ x: npc.x, y: npc.y, id: npcId, team: npc.team, moveDelay: npc.moveDelay, deadly: npc.kind !== "bomber" });
+    });
+    const everyone = [...alivePlayers, ...aliveNpcs];
+
+    // Team games: hunt the other team and look out for teammates. Otherwise bots
+    // hunt the humans; with none in the match (tournaments) they hunt each other.
+    const teams = this.config.teams !== "off" || this.config.gameMode === "campaign";
+    const botOnly = this.state.players.size === 0;
+    const rivalsOf = (id, entity) => (teams
+      ? everyone.filter((t) => t.team !== entity.team)
+      : everyone.filter((t) => t.id !== id));
+    const alliesOf = (id, entity) => (teams
+      ? everyone.filter((t) => t.id !== id && t.team === entity.team)
+      : []);
+
+    this.state.npcs.forEach((npc, npcId) => {
+      if (!npc.alive) return;
+
+      if (this.monsterBrains[npcId]) {
+        this.moveMonster(npc, npcId, alivePlayers);
+        return;
+      }
+
+      const brain = this.botBrains[npcId];
+      if (!brain) return;
+
+      const targets = teams || botOnly ? rivalsOf(npcId, npc) : alivePlayers;
+      const action = brain.update(dt, npc, this.grid, this.state.bombs, targets, now, alliesOf(npcId, npc), this.botObjective(npcId, npc));
+      this.applyBotAction(npc, npcId, action, this.npcLastMove, true);
+    });
+
+    // Players whose client dropped are played by a bot until they reconnect.
+    // Sorted by seat so replays (which add players in seat order) roll the same.
+    const heldSeats = [...this.state.players]
+      .filter(([id, player]) => player.alive && this.botBrains[id])
+      .sort(([, a], [, b]) => a.playerIndex - b.playerIndex);
+
+    for (const [sessionId, player] of heldSeats) {
+      const targets = rivalsOf(sessionId, player);
+      const action = this.botBrains[sessionId].update(dt, player, this.grid, this.state.bombs, targets, now, alliesOf(sessionId, player), this.botObjective(sessionId, player));
+      this.applyBotAction(player, sessionId, action, this.playerLastMove, false);
+    }
+  }
+
+  applyBotAction(entity, id, action, lastMoves, isNpc) {
+    this.botDetonate(entity, id);
+    if (!action) return;
+
+    if (action.type === "move") {
+      this.moveEntity(entity, id, action.dir, lastMoves);
+    } else if (action.type === "bomb") {
+      this.placeBomb(entity, id);
+    } else if (action.type === "fire") {
+      entity.facing = action.dir;
+      this.handleWeaponFire(entity, id, isNpc);
+    }
+  }
+}
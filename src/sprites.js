@@ -10,6 +10,12 @@ const THEMES = {
   purple: { body: "#8833cc", bodyDark: "#6622aa", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#8833cc", legs: "#3e1a4e", legsDark: "#221133" },
   orange: { body: "#cc8822", bodyDark: "#aa6e1a", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#cc8822", legs: "#4e3e1a", legsDark: "#332211" },
   yellow: { body: "#cccc22", bodyDark: "#aaaa1a", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#cccc22", legs: "#4e4e1a", legsDark: "#333311" },
+  cyan:   { body: "#22cccc", bodyDark: "#1a9999", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#22cccc", legs: "#1a4e4e", legsDark: "#113333" },
+  pink:   { body: "#ee66aa", bodyDark: "#bb4488", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#ee66aa", legs: "#4e1a3e", legsDark: "#331128" },
+  white:  { body: "#eeeeee", bodyDark: "#bbbbbb", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#eeeeee", legs: "#555555", legsDark: "#333333" },
+  black:  { body: "#333333", bodyDark: "#1a1a1a", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#333333", legs: "#111111", legsDark: "#000000" },
+  brown:  { body: "#885533", bodyDark: "#663f22", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#885533", legs: "#3e2a1a", legsDark: "#221811" },
+  lime:   { body: "#99ee22", bodyDark: "#77bb1a", head: "#ffddaa", headDark: "#ddbb88", eyes: "#111111", arms: "#99ee22", legs: "#2e4e1a", legsDark: "#1c3311" },
 };
 
 // _ = transparent, H = head, h = headDark, E = eyes, B = body, b = bodyDark, A = arms, L = legs, l = legsDark
@@ -236,6 +242,12 @@ export function generateTextures(scene) {
     }
   }
 
+  // Campaign monsters, two walking frames each
+  for (const [kind, colors] of Object.entries(MONSTER_COLORS)) {
+    drawPixelArt(scene, `monster_${kind}_0`, MONSTER_ART_0, colors);
+    drawPixelArt(scene, `monster_${kind}_1`, MONSTER_ART_1, colors);
+  }
+
   // Bomb texture
   drawPixelArt(scene, "bomb", BOMB_ART, {
     D: "#111111",
@@ -244,6 +256,20 @@ export function generateTextures(scene) {
     R: "#ff4400",
   });
 
+  // Special bomb types: recoloured bombs, and a flat mine
+  drawPixelArt(scene, "bomb_remote", BOMB_ART, {
+    D: "#112266", w: "#4466ff", Y: "#ff2222", R: "#ff0000",
+  });
+  drawPixelArt(scene, "bomb_pierce", BOMB_ART, {
+    D: "#114444", w: "#44ffff", Y: "#ffffff", R: "#44ffff",
+  });
+  drawPixelArt(scene, "bomb_cluster", BOMB_ART, {
+    D: "#442200", w: "#ff8800", Y: "#ffcc00", R: "#ff4400",
+  });
+  drawPixelArt(scene, "bomb_mine", MINE_ART, {
+    D: "#555533", w: "#888866", R: "#ff2222",
+  });
+
   // Powerup pickup textures (gun-shaped)
   drawPixelArt(scene, "powerup_flame", FLAMETHROWER_ART, {
     O: "#ff6600", R: "#ff2200", Y: "#ffcc00", G: "#333333",
@@ -255,6 +281,31 @@ export function generateTextures(scene) {
     S: "#44ff44", D: "#22aa22", W: "#ffffff",
   });
 
+  // Stat powerup textures
+  drawPixelArt(scene, "powerup_bomb", BOMB_UP_ART, {
+    D: "#222244", w: "#8888ff", Y: "#ffcc00", P: "#ffffff",
+  });
+  drawPixelArt(scene, "powerup_fire", FIRE_UP_ART, {
+    R: "#ff2200", O: "#ff6600", Y: "#ffcc00", W: "#ffffff",
+  });
+  drawPixelArt(scene, "powerup_speed", SPEED_UP_ART, {
+    Y: "#ffee44", W: "#ffffff",
+  });
+
+  // Bomb handling ability textures
+  drawPixelArt(scene, "powerup_kick", KICK_ART, {
+    P: "#cc66ff", D: "#662288", W: "#ffffff",
+  });
+  drawPixelArt(scene, "powerup_glove", GLOVE_ART, {
+    P: "#ff88cc", K: "#442233", W: "#ffffff",
+  });
+
+  // Bomb-type pickups
+  drawPixelArt(scene, "powerup_remote", badgeArt("R"), { F: "#4466ff", I: "#112266", G: "#ffffff" });
+  drawPixelArt(scene, "powerup_pierce", badgeArt("P"), { F: "#44ffff", I: "#114444", G: "#ffffff" });
+  drawPixelArt(scene, "powerup_mine", badgeArt("M"), { F: "#aaaa66", I: "#333322", G: "#ff2222" });
+  drawPixelArt(scene, "powerup_cluster", badgeArt("C"), { F: "#ff8800", I: "#442200", G: "#ffcc00" });
+
   // Explosion frame
   generateExplosionTexture(scene);
 }
@@ -319,6 +370,207 @@ const SHIELD_ART = [
   "________________",
 ];
 
+// Bomb-up pickup — bomb with a plus
+const BOMB_UP_ART = [
+  "________________",
+  "__________Y_____",
+  "_________Y______",
+  "________ww______",
+  "______DDDDDD____",
+  "_____DDwDDDDD___",
+  "____DDwDDDDDDD__",
+  "____DDDDDDDDDD__",
+  "____DDDDDDDDDD__",
+  "____DDDDDDDDDD__",
+  "_____DDDDDDDD_P_",
+  "______DDDDDDPPP_",
+  "______________P_",
+  "________________",
+  "________________",
+  "________________",
+];
+
+// Fire-up pickup — flame
+const FIRE_UP_ART = [
+  "________________",
+  "_______R________",
+  "______RR________",
+  "______RRR__R____",
+  "_____RRORR_RR___",
+  "_____RROORRRR___",
+  "____RROOORRRR___",
+  "____RROOYOORRR__",
+  "___RROOYYYOORR__",
+  "___RROYYYYYORR__",
+  "___RROYYWYYORR__",
+  "___RROOYYYOORR__",
+  "____RROOOOORR___",
+  "_____RRRRRRR____",
+  "________________",
+  "________________",
+];
+
+// Speed-up pickup — lightning bolt
+const SPEED_UP_ART = [
+  "________________",
+  "_________YYYY___",
+  "________YYYY____",
+  "_______YYYY_____",
+  "______YYYW______",
+  "_____YYYY_______",
+  "____YYYYYYYY____",
+  "_______YYYY_____",
+  "______YWYY______",
+  "_____YYYY_______",
+  "____YYY_________",
+  "___YY___________",
+  "__Y_____________",
+  "________________",
+  "________________",
+  "________________",
+];
+
+// Kick pickup — boot
+const KICK_ART = [
+  "________________",
+  "________________",
+  "_____PPPP_______",
+  "_____PPPP_______",
+  "_____PPPP_______",
+  "_____PPPP_______",
+  "_____PPPP_______",
+  "_____PPPPP______",
+  "_____PPPPPPPP___",
+  "____PPPPPPPPPP__",
+  "____PPPPPPPPPP__",
+  "____DDDDDDDDDD__",
+  "____WW__WW__WW__",
+  "________________",
+  "________________",
+  "________________",
+];
+
+// Glove pickup — open hand
+const GLOVE_ART = [
+  "________________",
+  "______K_K_______",
+  "____K_KPKPK_____",
+  "____KPKPKPK_____",
+  "____KPKPKPK_____",
+  "____KPPPPPK_KK__",
+  "____KPPPPPKKPK__",
+  "____KPPPPPPPPK__",
+  "____KPPPPPPPK___",
+  "_____KPPPPPPK___",
+  "_____KPPPPPK____",
+  "______KWWWWK____",
+  "______KWWWWK____",
+  "______KKKKKK____",
+  "________________",
+  "________________",
+];
+
+// Campaign monster — a two-frame blob (M = body, m = shading, W/E = eyes)
+const MONSTER_ART_0 = [
+  "________________",
+  "________________",
+  "_____MMMMMM_____",
+  "___MMMMMMMMMM___",
+  "__MMMMMMMMMMMM__",
+  "__MMWWMMMMWWMM__",
+  "__MMWEMMMMWEMM__",
+  "_MMMWEMMMMWEMMM_",
+  "_MMMMMMMMMMMMMM_",
+  "_MMMMMmmmmMMMMM_",
+  "_MMMMmMMMMmMMMM_",
+  "_MMMMMMMMMMMMMM_",
+  "_MMMMMMMMMMMMMM_",
+  "_MmMMMmMMmMMMmM_",
+  "_m_mMm_mm_mMm_m_",
+  "________________",
+];
+
+const MONSTER_ART_1 = [
+  "________________",
+  "________________",
+  "________________",
+  "_____MMMMMM_____",
+  "___MMMMMMMMMM___",
+  "__MMMMMMMMMMMM__",
+  "__MMWWMMMMWWMM__",
+  "_MMMWEMMMMWEMMM_",
+  "_MMMWEMMMMWEMMM_",
+  "_MMMMMMMMMMMMMM_",
+  "_MMMMMmmmmMMMMM_",
+  "_MMMMmMMMMmMMMM_",
+  "_MMMMMMMMMMMMMM_",
+  "_MMmMMMmmMMMmMM_",
+  "__m_mm_mm_mm_m__",
+  "________________",
+];
+
+const MONSTER_COLORS = {
+  wanderer: { M: "#dd6622", m: "#993f11", W: "#ffffff", E: "#111111" },
+  chaser: { M: "#aa22aa", m: "#661166", W: "#ffff66", E: "#cc0000" },
+  ghost: { M: "#ccccff", m: "#8888bb", W: "#ffffff", E: "#3333aa" },
+};
+
+// Land mine — flat disc with a trigger light
+const MINE_ART = [
+  "________________",
+  "________________",
+  "________________",
+  "________________",
+  "________________",
+  "________________",
+  "_____DDDDDD_____",
+  "___DDDDRRDDDD___",
+  "__DDDDDRRDDDDD__",
+  "__DwwDDDDDDwwD__",
+  "___DDDDDDDDDD___",
+  "_____DDDDDD_____",
+  "________________",
+  "________________",
+  "________________",
+  "________________",
+];
+
+// Bomb-type pickups — a framed letter (see badgeArt)
+const BADGE_FRAME = [
+  "________________",
+  "________________",
+  "__FFFFFFFFFFFF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FIIIIIIIIIIF__",
+  "__FFFFFFFFFFFF__",
+  "________________",
+  "________________",
+];
+
+// 5x7 letters for the badges
+const BADGE_GLYPHS = {
+  R: ["GGGG_", "G___G", "G___G", "GGGG_", "G_G__", "G__G_", "G___G"],
+  P: ["GGGG_", "G___G", "G___G", "GGGG_", "G____", "G____", "G____"],
+  M: ["G___G", "GG_GG", "G_G_G", "G_G_G", "G___G", "G___G", "G___G"],
+  C: ["_GGG_", "G___G", "G____", "G____", "G____", "G___G", "_GGG_"],
+};
+
+function badgeArt(letter) {
+  const glyph = BADGE_GLYPHS[letter];
+  return BADGE_FRAME.map((row, y) => {
+    const g = glyph[y - 5];
+    return g ? row.slice(0, 6) + g.replace(/_/g, "I") + row.slice(11) : row;
+  });
+}
+
 function generateExplosionTexture(scene) {
   const size = 16 * S;
   const canvasTex = scene.textures.createCanvas("explosion", size, size);
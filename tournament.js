@@ -0,0 +1,313 @@
+// tournament.js — headless bot-vs-bot matches for tuning BotBrain difficulty profiles
+//
+//   npm run tournament -- --lineup easy,medium,hard,hard --grid small,medium --mode classic --matches 2000
+//
+// Every combination of line-up × grid × mode is a scenario. Bots fill the four NPC
+// spawn slots and rotate seats each match so no difficulty keeps the same corner.
+// Match m of every scenario uses map seed (seed + m), so two runs with the same
+// flags differ only by whatever changed in the code (e.g. the DIFFICULTY table).
+
+import { writeFile } from "fs/promises";
+import { parseArgs } from "util";
+import { GRID_PRESETS } from "./src/map.js";
+import { GameSimulation, TICK_MS } from "./src/simulation.js";
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const MODES = ["classic", "lives", "kills"];
+const ELO_START = 1000;
+const ELO_K = 32;
+
+const USAGE = `Usage: node tournament.js [options]
+
+  --lineup <list>      bot difficulties, one per NPC slot (2-4, repeatable)  [easy,medium,hard,hard]
+  --grid <list>        grid presets: ${Object.keys(GRID_PRESETS).join(", ")}  [medium]
+  --mode <list>        game modes: ${MODES.join(", ")}  [classic]
+  --matches <n>        matches per scenario  [500]
+  --seed <n>           first map seed  [1]
+  --max-seconds <n>    game-time cap per match; longer matches are draws  [300]
+  --lives <n>          starting lives in lives mode: 1, 2, 3, 5  [3]
+  --kill-target <n>    kills needed in kills mode: 5, 10, 15, 20  [10]
+  --format <json|csv>  output format  [json]
+  --out <file>         write results to a file instead of stdout
+  --quiet              no progress on stderr`;
+
+// --- Arguments ---
+
+function splitList(value) {
+  return value.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function positiveInt(value, name) {
+  const n = parseInt(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--${name} must be a positive integer`);
+  return n;
+}
+
+function oneOf(value, allowed, name) {
+  const n = parseInt(value);
+  if (!allowed.includes(n)) throw new Error(`--${name} must be one of ${allowed.join(", ")}`);
+  return n;
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      lineup: { type: "string", multiple: true },
+      grid: { type: "string", default: "medium" },
+      mode: { type: "string", default: "classic" },
+      matches: { type: "string", default: "500" },
+      seed: { type: "string", default: "1" },
+      "max-seconds": { type: "string", default: "300" },
+      lives: { type: "string", default: "3" },
+      "kill-target": { type: "string", default: "10" },
+      format: { type: "string", default: "json" },
+      out: { type: "string" },
+      quiet: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const lineups = (values.lineup || ["easy,medium,hard,hard"]).map(splitList);
+  for (const lineup of lineups) {
+    if (lineup.length < 2 || lineup.length > 4) {
+      throw new Error(`Line-up "${lineup.join(",")}" needs 2-4 bots`);
+    }
+    const unknown = lineup.find((d) => !DIFFICULTIES.includes(d));
+    if (unknown) throw new Error(`Unknown difficulty "${unknown}" (expected ${DIFFICULTIES.join(", ")})`);
+  }
+
+  const grids = splitList(values.grid);
+  const unknownGrid = grids.find((g) => !Object.hasOwn(GRID_PRESETS, g));
+  if (unknownGrid) throw new Error(`Unknown grid preset "${unknownGrid}"`);
+
+  const modes = splitList(values.mode);
+  const unknownMode = modes.find((m) => !MODES.includes(m));
+  if (unknownMode) throw new Error(`Unknown game mode "${unknownMode}"`);
+
+  if (!["json", "csv"].includes(values.format)) throw new Error(`Unknown format "${values.format}"`);
+
+  return {
+    help: values.help,
+    lineups,
+    grids,
+    modes,
+    matches: positiveInt(values.matches, "matches"),
+    seed: parseInt(values.seed) >>> 0,
+    maxTicks: Math.ceil(positiveInt(values["max-seconds"], "max-seconds") * 1000 / TICK_MS),
+    startingLives: oneOf(values.lives, [1, 2, 3, 5], "lives"),
+    killTarget: oneOf(values["kill-target"], [5, 10, 15, 20], "kill-target"),
+    format: values.format,
+    out: values.out,
+    quiet: values.quiet,
+  };
+}
+
+// --- Matches ---
+
+/**
+ * Play one bot-only match to the end (or the tick cap).
+ * Returns each seat's difficulty and stats, ordered by final standing.
+ */
+function playMatch(config, seed, maxTicks) {
+  const sim = new GameSimulation(config);
+  sim.startRound({ seed });
+
+  // Tick each bot was eliminated on, for ranking the losers
+  const outAt = new Map();
+  while (sim.state.status === "playing" && sim.tickCount < maxTicks) {
+    sim.step();
+    sim.state.npcs.forEach((npc, id) => {
+      if (!npc.alive && npc.lives <= 0 && !outAt.has(id)) outAt.set(id, sim.tickCount);
+    });
+  }
+
+  const timedOut = sim.state.status === "playing";
+  const winnerId = timedOut ? "" : sim.state.winnerId;
+
+  const seats = [];
+  sim.state.npcs.forEach((npc, id) => {
+    // Higher standing is better: the winner, then kills (kills mode) or survival time
+    const standing = id === winnerId ? Infinity
+      : config.gameMode === "kills" ? npc.kills
+      : (outAt.get(id) ?? Infinity);
+    seats.push({
+      difficulty: npc.difficulty,
+      won: id === winnerId,
+      standing,
+      kills: npc.kills,
+      deaths: npc.deaths,
+      suicides: npc.suicides,
+    });
+  });
+  seats.sort((a, b) => b.standing - a.standing);
+
+  return { ticks: sim.tickCount, timedOut, draw: !winnerId, seats };
+}
+
+// --- Ratings ---
+
+function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+// Free-for-all Elo: every pair of seats with different difficulties is one game
+function updateElo(ratings, seats) {
+  const k = ELO_K / (seats.length - 1);
+  const deltas = new Map();
+  for (let i = 0; i < seats.length; i++) {
+    for (let j = i + 1; j < seats.length; j++) {
+      const a = seats[i];
+      const b = seats[j];
+      if (a.difficulty === b.difficulty) continue;
+
+      const score = a.standing === b.standing ? 0.5 : 1;
+      const change = k * (score - expectedScore(ratings.get(a.difficulty), ratings.get(b.difficulty)));
+      deltas.set(a.difficulty, (deltas.get(a.difficulty) || 0) + change);
+      deltas.set(b.difficulty, (deltas.get(b.difficulty) || 0) - change);
+    }
+  }
+  deltas.forEach((delta, difficulty) => ratings.set(difficulty, ratings.get(difficulty) + delta));
+}
+
+function createRatings() {
+  return new Map(DIFFICULTIES.map((d) => [d, ELO_START]));
+}
+
+// --- Scenarios ---
+
+function runScenario(options, lineup, gridSize, gameMode, globalRatings, log) {
+  const ratings = createRatings();
+  const stats = new Map();
+  let totalTicks = 0;
+  let draws = 0;
+  let timeouts = 0;
+
+  for (const difficulty of lineup) {
+    if (!stats.has(difficulty)) {
+      stats.set(difficulty, { difficulty, seats: 0, wins: 0, kills: 0, deaths: 0, suicides: 0 });
+    }
+  }
+
+  for (let m = 0; m < options.matches; m++) {
+    // Rotate seats so every difficulty plays from every spawn slot
+    const botLineup = lineup.map((_, slot) => lineup[(slot + m) % lineup.length]);
+    const config = {
+      gridSize,
+      gameMode,
+      maxPlayers: 2,
+      botLineup,
+      startingLives: options.startingLives,
+      killTarget: options.killTarget,
+    };
+
+    const match = playMatch(config, (options.seed + m) >>> 0, options.maxTicks);
+    totalTicks += match.ticks;
+    if (match.draw) draws++;
+    if (match.timedOut) timeouts++;
+
+    for (const seat of match.seats) {
+      const s = stats.get(seat.difficulty);
+      s.seats++;
+      if (seat.won) s.wins++;
+      s.kills += seat.kills;
+      s.deaths += seat.deaths;
+      s.suicides += seat.suicides;
+    }
+    updateElo(ratings, match.seats);
+    updateElo(globalRatings, match.seats);
+
+    if ((m + 1) % 100 === 0) log(`  ${m + 1}/${options.matches}`);
+  }
+
+  return {
+    lineup: lineup.join(","),
+    gridSize,
+    gameMode,
+    matches: options.matches,
+    draws,
+    timeouts,
+    avgMatchSeconds: round(totalTicks * TICK_MS / options.matches / 1000),
+    bots: [...stats.values()].map((s) => ({
+      ...s,
+      winRate: round(s.wins / s.seats),
+      suicideRate: s.deaths ? round(s.suicides / s.deaths) : 0,
+      elo: Math.round(ratings.get(s.difficulty)),
+    })),
+  };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// --- Output ---
+
+const CSV_COLUMNS = [
+  "lineup", "gridSize", "gameMode", "matches", "draws", "timeouts", "avgMatchSeconds",
+  "difficulty", "seats", "wins", "winRate", "kills", "deaths", "suicides", "suicideRate", "elo",
+];
+
+function toCsv(scenarios) {
+  const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const scenario of scenarios) {
+    for (const bot of scenario.bots) {
+      const row = { ...scenario, ...bot };
+      lines.push(CSV_COLUMNS.map((c) => quote(row[c])).join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const log = options.quiet ? () => {} : (msg) => console.error(msg);
+  const globalRatings = createRatings();
+  const scenarios = [];
+  const startedAt = Date.now();
+
+  for (const lineup of options.lineups) {
+    for (const gridSize of options.grids) {
+      for (const gameMode of options.modes) {
+        log(`${lineup.join(",")} on ${gridSize} (${gameMode})`);
+        scenarios.push(runScenario(options, lineup, gridSize, gameMode, globalRatings, log));
+      }
+    }
+  }
+
+  log(`Finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+
+  const ratings = Object.fromEntries(
+    DIFFICULTIES
+      .filter((d) => options.lineups.some((lineup) => lineup.includes(d)))
+      .map((d) => [d, Math.round(globalRatings.get(d))]),
+  );
+
+  const output = options.format === "csv"
+    ? toCsv(scenarios)
+    : JSON.stringify({ seed: options.seed, maxSeconds: options.maxTicks * TICK_MS / 1000, ratings, scenarios }, null, 2) + "\n";
+
+  if (options.out) {
+    await writeFile(options.out, output);
+    log(`Wrote ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});